@@ -19,7 +19,8 @@ function searchWithSupabaseRAG(query) {
     console.log('Searching Supabase for similar documents...');
     const searchResults = connector.searchVectors(queryEmbedding, {
       matchThreshold: 0.75,
-      matchCount: 10
+      matchCount: 10,
+      ...getDeprecationSearchOptions()
     });
 
     if (!searchResults || searchResults.length === 0) {
@@ -33,7 +34,8 @@ function searchWithSupabaseRAG(query) {
     console.log(`Found ${searchResults.length} relevant documents`);
 
     // Synthesize answer with Gemini 2.5 Flash
-    return synthesizeAnswerWithGemini(query, searchResults);
+    const rankedResults = preferPageSummaries(query, searchResults);
+    return synthesizeAnswerWithGemini(query, expandSearchResults(connector, rankedResults));
 
   } catch (error) {
     console.error('Supabase RAG search error:', error.toString());
@@ -62,7 +64,8 @@ function hybridSupabaseRAG(query) {
       matchThreshold: 0.7,
       matchCount: 10,
       vectorWeight: 0.7,
-      textWeight: 0.3
+      textWeight: 0.3,
+      ...getDeprecationSearchOptions()
     });
 
     if (!searchResults || searchResults.length === 0) {
@@ -74,7 +77,8 @@ function hybridSupabaseRAG(query) {
     }
 
     // Synthesize answer
-    return synthesizeAnswerWithGemini(query, searchResults);
+    const rankedResults = preferPageSummaries(query, searchResults);
+    return synthesizeAnswerWithGemini(query, expandSearchResults(connector, rankedResults));
 
   } catch (error) {
     console.error('Hybrid search error:', error.toString());
@@ -86,6 +90,83 @@ function hybridSupabaseRAG(query) {
   }
 }
 
+/**
+ * Deprecation search options from Script Properties
+ * SEARCH_EXCLUDE_DEPRECATED=true drops deprecated chunks,
+ * SEARCH_DEPRECATED_PENALTY (e.g. 0.05) down-ranks them.
+ * Both require sql/upgrade-deprecation.sql on the database.
+ */
+function getDeprecationSearchOptions() {
+  const props = PropertiesService.getScriptProperties();
+  const exclude = props.getProperty('SEARCH_EXCLUDE_DEPRECATED');
+  const penalty = props.getProperty('SEARCH_DEPRECATED_PENALTY');
+
+  const options = {};
+  if (exclude !== null) options.excludeDeprecated = exclude === 'true';
+  if (penalty !== null && !isNaN(parseFloat(penalty))) options.deprecatedPenalty = parseFloat(penalty);
+  return options;
+}
+
+/**
+ * Boost page_summary chunks for broad questions ("what is CardService for?")
+ * SEARCH_SUMMARY_BOOST (Script Properties, default 0.05) is added to their score
+ */
+function preferPageSummaries(query, searchResults) {
+  const property = PropertiesService.getScriptProperties().getProperty('SEARCH_SUMMARY_BOOST');
+  const boost = property !== null ? parseFloat(property) : 0.05;
+  const isSpecific = /\w\(|\.\w+|\b[a-z]+[A-Z]\w*/.test(query);
+  const isBroad = !isSpecific && (
+    /\b(overview|introduction|purpose|used for|what (is|are)|what does|what can|explain|about)\b/i.test(query) ||
+    query.trim().split(/\s+/).length <= 3
+  );
+  if (!boost || !isBroad) return searchResults;
+
+  const score = result => result.combined_score !== undefined ? 'combined_score' : 'similarity';
+  return searchResults
+    .map(result => {
+      if (!result.metadata || result.metadata.chunk_type !== 'page_summary') return result;
+      const boosted = Object.assign({}, result);
+      boosted[score(result)] = result[score(result)] + boost;
+      return boosted;
+    })
+    .sort((a, b) => b[score(b)] - a[score(a)]);
+}
+
+/**
+ * Expand the top hits into their full parent section when
+ * SEARCH_EXPAND_SECTIONS=true (Script Properties); SEARCH_EXPAND_LIMIT caps how many
+ */
+function expandSearchResults(connector, searchResults) {
+  const props = PropertiesService.getScriptProperties();
+  if (props.getProperty('SEARCH_EXPAND_SECTIONS') !== 'true') return searchResults;
+
+  const limit = parseInt(props.getProperty('SEARCH_EXPAND_LIMIT'), 10) || 3;
+  const expandedSections = {};
+
+  searchResults.slice(0, limit).forEach(result => {
+    const sectionId = result.metadata && result.metadata.section_id;
+    if (!sectionId || expandedSections[sectionId]) return;
+
+    try {
+      const chunks = connector.getSectionChunks(sectionId);
+      if (chunks.length <= 1) return;
+
+      const titleLine = chunks[0].chunk_content.split('\n')[0];
+      result.expanded_content = chunks.map((chunk, index) => {
+        const headerEnd = chunk.chunk_content.indexOf('\n\n');
+        return index > 0 && chunk.chunk_content.indexOf(titleLine + '\n') === 0 && headerEnd !== -1
+          ? chunk.chunk_content.slice(headerEnd + 2)
+          : chunk.chunk_content;
+      }).join('\n\n');
+      expandedSections[sectionId] = true;
+    } catch (error) {
+      console.warn(`Section expansion skipped: ${error.toString()}`);
+    }
+  });
+
+  return searchResults;
+}
+
 /**
  * Synthesize answer using Gemini 2.5 Flash
  */
@@ -108,16 +189,46 @@ function synthesizeAnswerWithGemini(query, searchResults) {
       if (result.metadata.component_type) {
         contextBlock += `Component: ${result.metadata.component_type}\n`;
       }
+      if (result.metadata.chunk_type === 'page_summary') {
+        contextBlock += 'Page overview\n';
+      }
+      if (result.metadata.chunk_type === 'enum_value') {
+        contextBlock += `Enum value: ${result.metadata.enum_name}.${result.metadata.enum_value}\n`;
+      }
+      if (result.metadata.chunk_type === 'code_sample') {
+        contextBlock += `Code sample: ${result.metadata.function_name} (${result.metadata.file_path})\n`;
+      }
+      if (result.metadata.deprecated) {
+        contextBlock += result.metadata.replacement
+          ? `⚠️ DEPRECATED (use ${result.metadata.replacement} instead)\n`
+          : '⚠️ DEPRECATED\n';
+      }
     }
 
     if (result.document_url) {
       contextBlock += `Source: ${result.document_url}\n`;
     }
 
-    contextBlock += '\n' + result.chunk_content;
+    contextBlock += '\n' + (result.expanded_content || result.chunk_content);
     return contextBlock;
   }).join('\n\n');
 
+  // Deprecated APIs among the results
+  const deprecationWarnings = [];
+  searchResults.forEach(result => {
+    const metadata = result.metadata || {};
+    if (!metadata.deprecated) return;
+
+    const name = metadata.method_signature || result.document_title || result.document_url;
+    if (deprecationWarnings.some(w => w.name === name)) return;
+
+    deprecationWarnings.push({
+      name: name,
+      replacement: metadata.replacement || null,
+      url: result.document_url || null
+    });
+  });
+
   // Create the prompt
   const prompt = `Based on the following Google Apps Script documentation, provide a comprehensive answer to this question:
 
@@ -132,7 +243,8 @@ Instructions:
 3. Mention specific methods or classes when relevant
 4. If multiple approaches exist, explain the differences
 5. Keep the response concise but complete
-6. Format code examples properly using markdown code blocks`;
+6. Format code examples properly using markdown code blocks
+7. Results marked DEPRECATED must not be recommended as the primary solution; if you mention one, say it is deprecated and recommend its replacement`;
 
   // Call Gemini API
   const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`;
@@ -172,12 +284,14 @@ Instructions:
         url: r.document_url || 'N/A',
         title: r.document_title || 'Untitled',
         relevance: (r.similarity || r.combined_score || 0).toFixed(3),
+        deprecated: !!(r.metadata && r.metadata.deprecated),
         preview: r.chunk_content.substring(0, 200) + '...'
       }));
 
       return {
         answer: answer,
         sources: sources,
+        deprecationWarnings: deprecationWarnings,
         model: 'gemini-2.5-flash-preview-09-2025',
         totalResults: searchResults.length,
         processingTime: new Date().toISOString()
@@ -200,6 +314,7 @@ Instructions:
         relevance: searchResults[0].similarity || 0
       }],
       model: 'fallback',
+      deprecationWarnings: deprecationWarnings,
       fallbackReason: error.toString(),
       error: error.toString()
     };
@@ -35,7 +35,8 @@ class SupabaseConnector {
         payload: JSON.stringify({
           query_embedding: queryEmbedding,
           match_threshold: matchThreshold,
-          match_count: matchCount
+          match_count: matchCount,
+          ...this.deprecationParams(options)
         }),
         muteHttpExceptions: true
       });
@@ -55,6 +56,21 @@ class SupabaseConnector {
     }
   }
 
+  /**
+   * Optional deprecation filters (excludeDeprecated / deprecatedPenalty)
+   * Only sent when set, so older databases keep working
+   */
+  deprecationParams(options) {
+    const params = {};
+    if (options.excludeDeprecated !== undefined) {
+      params.exclude_deprecated = !!options.excludeDeprecated;
+    }
+    if (options.deprecatedPenalty !== undefined) {
+      params.deprecated_penalty = options.deprecatedPenalty;
+    }
+    return params;
+  }
+
   /**
    * Hybrid search combining vector and text search
    */
@@ -76,7 +92,8 @@ class SupabaseConnector {
           match_threshold: matchThreshold,
           match_count: matchCount,
           vector_weight: vectorWeight,
-          text_weight: textWeight
+          text_weight: textWeight,
+          ...this.deprecationParams(options)
         }),
         muteHttpExceptions: true
       });
@@ -168,7 +185,7 @@ class SupabaseConnector {
   getDocumentById(documentId) {
     try {
       const response = UrlFetchApp.fetch(
-        `${this.baseUrl}/rest/v1/document_chunks?document_id=eq.${documentId}&order=chunk_index`,
+        `${this.baseUrl}/rest/v1/document_chunks?document_id=eq.${documentId}`,
         {
           method: 'GET',
           headers: this.headers,
@@ -177,7 +194,8 @@ class SupabaseConnector {
       );
 
       if (response.getResponseCode() === 200) {
-        return JSON.parse(response.getContentText());
+        // chunk_index is always 0 for stable ids; metadata holds the position
+        return JSON.parse(response.getContentText()).sort((a, b) => this.readingOrder(a) - this.readingOrder(b));
       } else {
         throw new Error(`Get document failed: ${response.getContentText()}`);
       }
@@ -187,6 +205,41 @@ class SupabaseConnector {
     }
   }
 
+  /**
+   * Chunks of one section (metadata.section_id) in reading order
+   */
+  getSectionChunks(sectionId) {
+    try {
+      const response = UrlFetchApp.fetch(
+        `${this.baseUrl}/rest/v1/document_chunks?metadata->>section_id=eq.${encodeURIComponent(sectionId)}` +
+          '&select=id,chunk_content,document_title,document_url,metadata',
+        {
+          method: 'GET',
+          headers: this.headers,
+          muteHttpExceptions: true
+        }
+      );
+
+      if (response.getResponseCode() === 200) {
+        return JSON.parse(response.getContentText()).sort((a, b) => this.readingOrder(a) - this.readingOrder(b));
+      } else {
+        throw new Error(`Get section failed: ${response.getContentText()}`);
+      }
+    } catch (error) {
+      console.error('Get section error:', error.toString());
+      throw error;
+    }
+  }
+
+  /**
+   * Sort key in page reading order (sub-chunk/part order for older rows)
+   */
+  readingOrder(chunk) {
+    const metadata = chunk.metadata || {};
+    if (metadata.page_position !== undefined) return metadata.page_position;
+    return (metadata.sub_index || 0) * 1000 + (metadata.part_index || 0);
+  }
+
   /**
    * Get database statistics
    */
@@ -9,13 +9,18 @@
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
-const SupabaseVectorClient = require('./src/storage/supabase-client');
+const SupabaseVectorClient = require('../../src/storage/supabase-client');
+const StaleChunkStore = require('../../src/storage/stale-chunks');
+const Tokenizer = require('../../src/utils/tokenizer');
+
+const tokenizer = new Tokenizer();
 
 // Configuration
 const EMBEDDINGS_FILE = process.argv[2] || './data/processed/embeddings_1758558291750.json';
 const BATCH_SIZE = 50; // Optimized for Supabase
 const RETRY_ATTEMPTS = 3;
 const RETRY_DELAY = 2000;
+const KEEP_STALE = process.argv.includes('--keep-stale');
 
 /**
  * Transform chunks to Supabase format
@@ -33,7 +38,7 @@ function transformChunks(chunks) {
       document_url: chunk.url || chunk.source_url || chunk.metadata?.source_url || '',
       chunk_content: chunk.content || chunk.text || '',
       chunk_index: chunk.chunk_index !== undefined ? chunk.chunk_index : index,
-      chunk_tokens: chunk.tokens || chunk.chunk_tokens || Math.ceil((chunk.content || '').length / 4),
+      chunk_tokens: chunk.tokens || chunk.chunk_tokens || tokenizer.count(chunk.content || ''),
       embedding: embedding,
       metadata: {
         ...chunk.metadata,
@@ -43,6 +48,8 @@ function transformChunks(chunks) {
         has_code: chunk.has_code || chunk.metadata?.has_code || false,
         has_example: chunk.has_example || chunk.metadata?.has_example || false,
         method_signature: chunk.method_signature || chunk.metadata?.method_signature,
+        deprecated: chunk.deprecated || chunk.metadata?.deprecated || false,
+        replacement: chunk.replacement || chunk.metadata?.replacement || null,
         embedding_model: chunk.embedding_model || 'gemini-embedding-001',
         embedding_dimensions: chunk.embedding_dimensions || 768,
         vector_norm: chunk.vector_norm || null,
@@ -133,6 +140,21 @@ async function uploadEmbeddings() {
       }
     }
 
+    // Drop rows of chunks the pipeline replaced or removed whose replacements are all in this file
+    let deletedCount = 0;
+    if (!KEEP_STALE && errorCount === 0) {
+      const staleChunks = await new StaleChunkStore().load();
+      const staleIds = staleChunks.deletable(transformedChunks.map(chunk => chunk.document_id));
+
+      if (staleIds.length > 0) {
+        console.log(`\n🗑️ Deleting ${staleIds.length} stale chunks...`);
+        await client.deleteDocuments(staleIds);
+        staleChunks.remove(staleIds);
+        await staleChunks.save();
+        deletedCount = staleIds.length;
+      }
+    }
+
     const duration = Math.round((Date.now() - startTime) / 1000);
 
     // Get final database stats
@@ -145,6 +167,7 @@ async function uploadEmbeddings() {
     console.log(`Total chunks processed:  ${transformedChunks.length}`);
     console.log(`Successfully uploaded:   ${successCount} (${(successCount/transformedChunks.length*100).toFixed(1)}%)`);
     console.log(`Failed:                  ${errorCount}`);
+    console.log(`Stale chunks deleted:    ${deletedCount}`);
     console.log(`Time taken:              ${duration}s`);
     console.log(`\nDatabase Statistics:`);
     console.log(`  Total documents:       ${finalStats.total_documents}`);
@@ -194,6 +217,7 @@ if (process.argv.includes('--help') || process.argv.includes('-h')) {
   console.log('Usage: node upload-embeddings.js [embeddings-file.json]');
   console.log('\nOptions:');
   console.log('  --help, -h    Show this help message');
+  console.log('  --keep-stale  Keep rows of replaced or removed chunks');
   console.log('\nExample:');
   console.log('  node upload-embeddings.js ./data/processed/embeddings_*.json');
   process.exit(0);
@@ -7,6 +7,7 @@
 require('dotenv').config();
 const SupabaseVectorClient = require('../../src/storage/supabase-client');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const ApiGraph = require('../../src/graph/api-graph');
 
 async function askQuestion(question) {
   console.log('\n' + '='.repeat(60));
@@ -37,6 +38,7 @@ async function askQuestion(question) {
     console.log('🔍 Searching knowledge base...');
     const startTime = Date.now();
     const searchResults = await supabase.similaritySearch(queryEmbedding, {
+      query: question,
       matchThreshold: 0.7,
       matchCount: 5
     });
@@ -60,10 +62,21 @@ async function askQuestion(question) {
     // Step 4: Synthesize answer using Gemini
     console.log('\n🤖 Generating comprehensive answer...\n');
 
-    const context = searchResults
+    let context = searchResults
       .map(doc => doc.chunk_content)
       .join('\n\n---\n\n');
 
+    // Add linked classes from the API graph (built by the embedding phase)
+    try {
+      const graph = await ApiGraph.load();
+      const linked = graph.contextFor(searchResults);
+      if (linked) {
+        context += `\n\n---\n\nRelated classes:\n${linked}`;
+      }
+    } catch {
+      // No graph yet - answer from the search results only
+    }
+
     const prompt = `Based on the following Google Apps Script documentation, provide a clear and helpful answer to this question:
 
 Question: ${question}
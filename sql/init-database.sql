@@ -41,6 +41,9 @@ CREATE INDEX idx_metadata ON document_chunks USING GIN (metadata);
 -- Create index on created_at for time-based queries
 CREATE INDEX idx_created_at ON document_chunks(created_at DESC);
 
+-- Expression index for expanding a hit into its section (metadata.section_id)
+CREATE INDEX idx_section_id ON document_chunks ((metadata->>'section_id'));
+
 -- HNSW index for vector similarity search (create AFTER data insertion)
 -- Uncomment this after initial data load:
 -- CREATE INDEX documents_embedding_hnsw_idx ON document_chunks
@@ -48,10 +51,15 @@ CREATE INDEX idx_created_at ON document_chunks(created_at DESC);
 -- WITH (m = 16, ef_construction = 64);
 
 -- Function for similarity search with cosine distance
+-- Deprecated chunks (metadata.deprecated) can be excluded or down-ranked
+DROP FUNCTION IF EXISTS match_documents(vector, float, int);
+
 CREATE OR REPLACE FUNCTION match_documents(
     query_embedding vector(768),
     match_threshold float DEFAULT 0.8,
-    match_count int DEFAULT 10
+    match_count int DEFAULT 10,
+    exclude_deprecated boolean DEFAULT false,
+    deprecated_penalty float DEFAULT 0.0
 )
 RETURNS TABLE (
     id UUID,
@@ -64,26 +72,44 @@ RETURNS TABLE (
 LANGUAGE SQL
 AS $$
     SELECT
-        id,
-        chunk_content,
-        document_title,
-        document_url,
-        metadata,
-        1 - (embedding <=> query_embedding) AS similarity
-    FROM document_chunks
-    WHERE 1 - (embedding <=> query_embedding) > match_threshold
-    ORDER BY embedding <=> query_embedding
+        candidates.id,
+        candidates.chunk_content,
+        candidates.document_title,
+        candidates.document_url,
+        candidates.metadata,
+        candidates.similarity
+    FROM (
+        SELECT
+            dc.id,
+            dc.chunk_content,
+            dc.document_title,
+            dc.document_url,
+            dc.metadata,
+            (1 - (dc.embedding <=> query_embedding))
+                - CASE WHEN COALESCE((dc.metadata->>'deprecated')::boolean, false)
+                       THEN deprecated_penalty ELSE 0 END AS similarity
+        FROM document_chunks dc
+        WHERE 1 - (dc.embedding <=> query_embedding) > match_threshold
+          AND NOT (exclude_deprecated AND COALESCE((dc.metadata->>'deprecated')::boolean, false))
+        ORDER BY dc.embedding <=> query_embedding
+        LIMIT match_count * 2
+    ) candidates
+    ORDER BY candidates.similarity DESC
     LIMIT match_count;
 $$;
 
 -- Function for hybrid search combining vector and text search
+DROP FUNCTION IF EXISTS hybrid_search(text, vector, float, int, float, float);
+
 CREATE OR REPLACE FUNCTION hybrid_search(
     query_text TEXT,
     query_embedding vector(768),
     match_threshold float DEFAULT 0.7,
     match_count int DEFAULT 10,
     vector_weight float DEFAULT 0.7,
-    text_weight float DEFAULT 0.3
+    text_weight float DEFAULT 0.3,
+    exclude_deprecated boolean DEFAULT false,
+    deprecated_penalty float DEFAULT 0.0
 )
 RETURNS TABLE (
     id UUID,
@@ -107,6 +133,7 @@ BEGIN
             (1 - (dc.embedding <=> query_embedding)) * vector_weight AS vector_score
         FROM document_chunks dc
         WHERE 1 - (dc.embedding <=> query_embedding) > match_threshold
+          AND NOT (exclude_deprecated AND COALESCE((dc.metadata->>'deprecated')::boolean, false))
         ORDER BY dc.embedding <=> query_embedding
         LIMIT match_count * 2
     ),
@@ -120,6 +147,7 @@ BEGIN
             ts_rank(to_tsvector('english', dc.chunk_content), plainto_tsquery('english', query_text)) * text_weight AS text_score
         FROM document_chunks dc
         WHERE to_tsvector('english', dc.chunk_content) @@ plainto_tsquery('english', query_text)
+          AND NOT (exclude_deprecated AND COALESCE((dc.metadata->>'deprecated')::boolean, false))
         ORDER BY text_score DESC
         LIMIT match_count * 2
     ),
@@ -130,7 +158,9 @@ BEGIN
             COALESCE(v.document_title, t.document_title) AS document_title,
             COALESCE(v.document_url, t.document_url) AS document_url,
             COALESCE(v.metadata, t.metadata) AS metadata,
-            COALESCE(v.vector_score, 0) + COALESCE(t.text_score, 0) AS combined_score
+            COALESCE(v.vector_score, 0) + COALESCE(t.text_score, 0)
+                - CASE WHEN COALESCE((COALESCE(v.metadata, t.metadata)->>'deprecated')::boolean, false)
+                       THEN deprecated_penalty ELSE 0 END AS combined_score
         FROM vector_results v
         FULL OUTER JOIN text_results t ON v.id = t.id
     )
@@ -0,0 +1,6 @@
+-- Upgrade: chunk hierarchy
+-- Run this once on databases created before chunks carried section_id/page_id.
+-- Speeds up section expansion (SupabaseVectorClient.expandResults,
+-- SupabaseConnector.getSectionChunks).
+
+CREATE INDEX IF NOT EXISTS idx_section_id ON document_chunks ((metadata->>'section_id'));
@@ -0,0 +1,124 @@
+-- Upgrade: deprecation-aware search
+-- Run this once on databases created before match_documents/hybrid_search
+-- accepted exclude_deprecated and deprecated_penalty. New databases get the
+-- same definitions from init-database.sql.
+
+-- Function for similarity search with cosine distance
+-- Deprecated chunks (metadata.deprecated) can be excluded or down-ranked
+DROP FUNCTION IF EXISTS match_documents(vector, float, int);
+
+CREATE OR REPLACE FUNCTION match_documents(
+    query_embedding vector(768),
+    match_threshold float DEFAULT 0.8,
+    match_count int DEFAULT 10,
+    exclude_deprecated boolean DEFAULT false,
+    deprecated_penalty float DEFAULT 0.0
+)
+RETURNS TABLE (
+    id UUID,
+    chunk_content TEXT,
+    document_title TEXT,
+    document_url TEXT,
+    metadata JSONB,
+    similarity FLOAT
+)
+LANGUAGE SQL
+AS $$
+    SELECT
+        candidates.id,
+        candidates.chunk_content,
+        candidates.document_title,
+        candidates.document_url,
+        candidates.metadata,
+        candidates.similarity
+    FROM (
+        SELECT
+            dc.id,
+            dc.chunk_content,
+            dc.document_title,
+            dc.document_url,
+            dc.metadata,
+            (1 - (dc.embedding <=> query_embedding))
+                - CASE WHEN COALESCE((dc.metadata->>'deprecated')::boolean, false)
+                       THEN deprecated_penalty ELSE 0 END AS similarity
+        FROM document_chunks dc
+        WHERE 1 - (dc.embedding <=> query_embedding) > match_threshold
+          AND NOT (exclude_deprecated AND COALESCE((dc.metadata->>'deprecated')::boolean, false))
+        ORDER BY dc.embedding <=> query_embedding
+        LIMIT match_count * 2
+    ) candidates
+    ORDER BY candidates.similarity DESC
+    LIMIT match_count;
+$$;
+
+-- Function for hybrid search combining vector and text search
+DROP FUNCTION IF EXISTS hybrid_search(text, vector, float, int, float, float);
+
+CREATE OR REPLACE FUNCTION hybrid_search(
+    query_text TEXT,
+    query_embedding vector(768),
+    match_threshold float DEFAULT 0.7,
+    match_count int DEFAULT 10,
+    vector_weight float DEFAULT 0.7,
+    text_weight float DEFAULT 0.3,
+    exclude_deprecated boolean DEFAULT false,
+    deprecated_penalty float DEFAULT 0.0
+)
+RETURNS TABLE (
+    id UUID,
+    chunk_content TEXT,
+    document_title TEXT,
+    document_url TEXT,
+    metadata JSONB,
+    combined_score FLOAT
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN QUERY
+    WITH vector_results AS (
+        SELECT
+            dc.id,
+            dc.chunk_content,
+            dc.document_title,
+            dc.document_url,
+            dc.metadata,
+            (1 - (dc.embedding <=> query_embedding)) * vector_weight AS vector_score
+        FROM document_chunks dc
+        WHERE 1 - (dc.embedding <=> query_embedding) > match_threshold
+          AND NOT (exclude_deprecated AND COALESCE((dc.metadata->>'deprecated')::boolean, false))
+        ORDER BY dc.embedding <=> query_embedding
+        LIMIT match_count * 2
+    ),
+    text_results AS (
+        SELECT
+            dc.id,
+            dc.chunk_content,
+            dc.document_title,
+            dc.document_url,
+            dc.metadata,
+            ts_rank(to_tsvector('english', dc.chunk_content), plainto_tsquery('english', query_text)) * text_weight AS text_score
+        FROM document_chunks dc
+        WHERE to_tsvector('english', dc.chunk_content) @@ plainto_tsquery('english', query_text)
+          AND NOT (exclude_deprecated AND COALESCE((dc.metadata->>'deprecated')::boolean, false))
+        ORDER BY text_score DESC
+        LIMIT match_count * 2
+    ),
+    combined AS (
+        SELECT
+            COALESCE(v.id, t.id) AS id,
+            COALESCE(v.chunk_content, t.chunk_content) AS chunk_content,
+            COALESCE(v.document_title, t.document_title) AS document_title,
+            COALESCE(v.document_url, t.document_url) AS document_url,
+            COALESCE(v.metadata, t.metadata) AS metadata,
+            COALESCE(v.vector_score, 0) + COALESCE(t.text_score, 0)
+                - CASE WHEN COALESCE((COALESCE(v.metadata, t.metadata)->>'deprecated')::boolean, false)
+                       THEN deprecated_penalty ELSE 0 END AS combined_score
+        FROM vector_results v
+        FULL OUTER JOIN text_results t ON v.id = t.id
+    )
+    SELECT * FROM combined
+    ORDER BY combined_score DESC
+    LIMIT match_count;
+END;
+$$;
@@ -0,0 +1,73 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Dead Letter Store
+ * Chunks that could not be embedded, with their errors and the output file
+ * they belong in, so `retry-failed` can embed just those and merge them back
+ */
+class DeadLetterStore {
+  constructor(config = {}) {
+    this.deadLetterPath = config.deadLetterPath || process.env.EMBEDDING_DEAD_LETTER ||
+      path.join(process.cwd(), 'data', 'processed', 'embedding_dead_letter.json');
+    this.entries = {};
+  }
+
+  /**
+   * Load entries from disk (empty store if none exists yet)
+   */
+  async load() {
+    try {
+      const content = await fs.readFile(this.deadLetterPath, 'utf8');
+      this.entries = JSON.parse(content).chunks || {};
+    } catch {
+      this.entries = {};
+    }
+
+    return this;
+  }
+
+  /**
+   * Save entries to disk
+   */
+  async save() {
+    await fs.mkdir(path.dirname(this.deadLetterPath), { recursive: true });
+    await fs.writeFile(this.deadLetterPath, JSON.stringify({
+      updatedAt: new Date().toISOString(),
+      chunks: this.entries
+    }, null, 2));
+  }
+
+  /**
+   * Record failed chunks ({ chunk, error }) destined for outputPath
+   */
+  add(failures, outputPath) {
+    failures.forEach(({ chunk, error }) => {
+      const previous = this.entries[chunk.id];
+      this.entries[chunk.id] = {
+        chunk,
+        error,
+        attempts: (previous?.attempts || 0) + 1,
+        outputPath: outputPath || previous?.outputPath || null,
+        failedAt: new Date().toISOString()
+      };
+    });
+  }
+
+  /**
+   * Drop chunks that have since been embedded
+   */
+  remove(chunkIds) {
+    chunkIds.forEach(id => delete this.entries[id]);
+  }
+
+  /**
+   * All dead-lettered entries, oldest first
+   */
+  list() {
+    return Object.values(this.entries)
+      .sort((a, b) => a.failedAt.localeCompare(b.failedAt));
+  }
+}
+
+module.exports = DeadLetterStore;
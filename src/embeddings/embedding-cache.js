@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Embedding Cache
+ * Persists vectors on disk keyed by model + dimensions + task type + content hash,
+ * so unchanged text is never sent to the API twice
+ */
+class EmbeddingCache {
+  constructor(config = {}) {
+    this.cacheDir = config.cacheDir || process.env.EMBEDDING_CACHE_DIR ||
+      path.join(process.cwd(), 'data', 'cache', 'embeddings');
+    this.enabled = config.enabled !== undefined ? config.enabled : process.env.EMBEDDING_CACHE !== 'false';
+  }
+
+  /**
+   * Cache key for one embedding request
+   */
+  key(text, { model, dimensions, taskType }) {
+    const contentHash = crypto.createHash('sha256').update(text).digest('hex');
+    return crypto
+      .createHash('sha256')
+      .update(`${model}|${dimensions}|${taskType}|${contentHash}`)
+      .digest('hex');
+  }
+
+  /**
+   * File holding one entry (sharded by key prefix to keep directories small)
+   */
+  entryPath(key) {
+    return path.join(this.cacheDir, key.substring(0, 2), `${key}.json`);
+  }
+
+  /**
+   * Cached vector, or null on a miss
+   */
+  async get(text, params) {
+    if (!this.enabled) return null;
+
+    try {
+      const entry = JSON.parse(await fs.readFile(this.entryPath(this.key(text, params)), 'utf8'));
+      return Array.isArray(entry.embedding) && entry.embedding.length === params.dimensions
+        ? entry.embedding
+        : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Store a vector (write to a temp file, then rename, so readers never see partial entries)
+   */
+  async set(text, params, embedding) {
+    if (!this.enabled) return;
+
+    const filePath = this.entryPath(this.key(text, params));
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify({
+        model: params.model,
+        dimensions: params.dimensions,
+        taskType: params.taskType,
+        createdAt: new Date().toISOString(),
+        embedding
+      }));
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      // A failed cache write only costs a future API call
+      console.warn(`   ⚠️ Embedding cache write failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = EmbeddingCache;
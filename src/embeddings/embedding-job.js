@@ -0,0 +1,138 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Embedding Job
+ * Checkpoints an embedding run after every batch so an interrupted run
+ * (crash, daily quota) resumes without re-embedding finished chunks.
+ * Embedded chunks are appended to embeddings_<ts>.partial.jsonl until the
+ * run finishes and embeddings_<ts>.json is written.
+ */
+class EmbeddingJob {
+  constructor(config = {}) {
+    this.jobPath = config.jobPath ||
+      path.join(process.cwd(), 'data', 'processed', 'embedding_job.json');
+    this.job = null;
+  }
+
+  /**
+   * Load the job file (no job if none exists yet)
+   */
+  async load() {
+    try {
+      this.job = JSON.parse(await fs.readFile(this.jobPath, 'utf8'));
+    } catch {
+      this.job = null;
+    }
+
+    return this;
+  }
+
+  /**
+   * Save the job file
+   */
+  async save() {
+    this.job.updatedAt = new Date().toISOString();
+    await fs.mkdir(path.dirname(this.jobPath), { recursive: true });
+    await fs.writeFile(this.jobPath, JSON.stringify(this.job, null, 2));
+  }
+
+  /**
+   * Whether an unfinished job for this input can be picked up
+   */
+  canResume(inputPath) {
+    return Boolean(this.job) &&
+      this.job.status !== 'completed' &&
+      this.job.inputPath === path.resolve(inputPath);
+  }
+
+  /**
+   * Start a new job (replaces any previous one)
+   */
+  async start(inputPath, total) {
+    const outputDir = path.join(process.cwd(), 'data', 'processed');
+    const timestamp = Date.now();
+
+    this.job = {
+      inputPath: path.resolve(inputPath),
+      outputPath: path.join(outputDir, `embeddings_${timestamp}.json`),
+      checkpointPath: path.join(outputDir, `embeddings_${timestamp}.partial.jsonl`),
+      status: 'running',
+      total,
+      embedded: 0,
+      failed: 0,
+      startedAt: new Date().toISOString()
+    };
+
+    await fs.mkdir(outputDir, { recursive: true });
+    await fs.writeFile(this.job.checkpointPath, '');
+    await this.save();
+  }
+
+  /**
+   * Mark a loaded job as running again
+   */
+  async resume(total) {
+    this.job.status = 'running';
+    this.job.total = total;
+    await this.save();
+  }
+
+  /**
+   * Chunks embedded so far (from the checkpoint file)
+   */
+  async embeddedChunks() {
+    let content;
+    try {
+      content = await fs.readFile(this.job.checkpointPath, 'utf8');
+    } catch {
+      return [];
+    }
+
+    // A crash mid-append can leave a truncated last line
+    return content.split('\n').filter(Boolean).flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Append one batch's results to the checkpoint
+   */
+  async record(embeddedChunks, failedCount) {
+    if (embeddedChunks.length > 0) {
+      await fs.appendFile(this.job.checkpointPath,
+        embeddedChunks.map(chunk => JSON.stringify(chunk)).join('\n') + '\n');
+    }
+
+    this.job.embedded += embeddedChunks.length;
+    this.job.failed += failedCount;
+    await this.save();
+  }
+
+  /**
+   * Pause the job (e.g. daily quota reached); the checkpoint is kept
+   */
+  async stop(reason) {
+    this.job.status = 'stopped';
+    this.job.stopReason = reason;
+    await this.save();
+  }
+
+  /**
+   * Mark the job completed once its output is written (drops the checkpoint)
+   */
+  async complete(embeddedCount) {
+    await fs.rm(this.job.checkpointPath, { force: true });
+
+    this.job.status = 'completed';
+    this.job.embedded = embeddedCount;
+    this.job.completedAt = new Date().toISOString();
+    await this.save();
+  }
+}
+
+module.exports = EmbeddingJob;
@@ -3,6 +3,16 @@ const fs = require('fs').promises;
 const path = require('path');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const DocumentChunker = require('../utils/chunker');
+const CrawlNormalizer = require('../scraper/crawl-normalizer');
+const Tokenizer = require('../utils/tokenizer');
+const ApiGraph = require('../graph/api-graph');
+const EmbeddingCache = require('./embedding-cache');
+const EmbeddingJob = require('./embedding-job');
+const DeadLetterStore = require('./dead-letter');
+const StaleChunkStore = require('../storage/stale-chunks');
+const RateLimiter = require('../utils/rate-limiter');
+
+const { DailyQuotaExceededError } = RateLimiter;
 
 /**
  * Embedding Generator using Google's Gemini API
@@ -18,18 +28,39 @@ class EmbeddingGenerator {
     this.genAI = new GoogleGenerativeAI(this.apiKey);
     this.model = 'models/embedding-001';
     this.dimensions = config.dimensions || parseInt(process.env.EMBEDDING_DIMENSIONS) || 768;
-    this.batchSize = config.batchSize || 10;
-    this.rateLimit = {
-      requestsPerMinute: 100,
-      tokensPerMinute: 30000,
-      requestsPerDay: 1000
-    };
+    // Texts per batchEmbedContents request (the API accepts up to 100)
+    this.batchSize = Math.min(config.batchSize || parseInt(process.env.EMBEDDING_BATCH_SIZE) || 100, 100);
+    this.maxRetries = config.maxRetries || 3;
+    this.tokenizer = config.tokenizer || new Tokenizer();
+    this.cache = config.cache || new EmbeddingCache(config.cacheOptions);
+    // Sentence vectors for semantic chunking: local (free) or gemini (one request per sentence window)
+    this.semanticEmbeddings = config.semanticEmbeddings || process.env.SEMANTIC_EMBEDDINGS || 'local';
+    // Model for LLM-generated page summaries (PAGE_SUMMARIES=llm)
+    this.summaryModel = config.summaryModel || process.env.SUMMARY_MODEL || 'gemini-2.5-flash';
+    // Shared with anything else spending the same API key's quota
+    this.rateLimiter = config.rateLimiter || new RateLimiter({
+      name: 'gemini-embeddings',
+      requestsPerMinute: parseInt(process.env.EMBEDDING_RPM) || 100,
+      // Estimated token counts leave headroom under the real 30K limit
+      tokensPerMinute: parseInt(process.env.EMBEDDING_TPM) || Math.floor(30000 * this.tokenizer.headroom),
+      requestsPerDay: parseInt(process.env.EMBEDDING_RPD) || 1000
+    });
+    // Token budget per request as well, so a full batch never exceeds the TPM limit on its own
+    this.batchTokens = Math.min(
+      config.batchTokens || parseInt(process.env.EMBEDDING_BATCH_TOKENS) || 20000,
+      this.rateLimiter.tokensPerMinute || Infinity
+    );
+    // Set when the daily quota stopped a run: { message, resetAt }
+    this.quotaExceeded = null;
 
     // Track usage
     this.usage = {
       requests: 0,
       tokens: 0,
-      errors: 0
+      errors: 0,
+      truncated: 0,
+      cacheHits: 0,
+      cacheMisses: 0
     };
   }
 
@@ -40,13 +71,24 @@ class EmbeddingGenerator {
     const maxRetries = 3;
     let lastError;
 
+    // Truncate text over the model input limit (chunker output already fits)
+    const truncatedText = this.truncateText(text);
+
+    // Identical text embedded before with the same model settings
+    const cacheParams = { model: this.model, dimensions: this.dimensions, taskType };
+    const cached = await this.cache.get(truncatedText, cacheParams);
+    if (cached) {
+      this.usage.cacheHits++;
+      return cached;
+    }
+    if (this.cache.enabled) this.usage.cacheMisses++;
+
     for (let attempt = 0; attempt < maxRetries; attempt++) {
+      await this.rateLimiter.acquire(this.estimateTokens(truncatedText));
+
       try {
         const model = this.genAI.getGenerativeModel({ model: this.model });
 
-        // Truncate text if too long (max ~2048 tokens)
-        const truncatedText = this.truncateText(text, 8000); // ~2000 tokens
-
         const result = await model.embedContent({
           content: { parts: [{ text: truncatedText }] },
           taskType: taskType,
@@ -56,12 +98,14 @@ class EmbeddingGenerator {
         this.usage.requests++;
         this.usage.tokens += this.estimateTokens(truncatedText);
 
+        await this.cache.set(truncatedText, cacheParams, result.embedding.values);
         return result.embedding.values;
       } catch (error) {
         lastError = error;
 
         if (error.message?.includes('429') || error.message?.includes('RATE_LIMIT')) {
           // Rate limit hit - exponential backoff
+          this.rateLimiter.drain();
           const delay = Math.min(1000 * Math.pow(2, attempt), 32000);
           console.log(`⏳ Rate limited. Waiting ${delay / 1000}s before retry...`);
           await this.sleep(delay);
@@ -78,39 +122,55 @@ class EmbeddingGenerator {
 
   /**
    * Process chunks in batches
+   * options.onBatch(embedded, failed) runs after every batch (checkpointing)
    */
-  async processChunks(chunks) {
+  async processChunks(chunks, options = {}) {
     console.log(`\n🧮 Generating embeddings for ${chunks.length} chunks`);
     console.log(`   Model: ${this.model}`);
     console.log(`   Dimensions: ${this.dimensions}`);
-    console.log(`   Batch Size: ${this.batchSize}\n`);
+    console.log(`   Batch Size: ${this.batchSize} chunks / ${this.batchTokens} tokens\n`);
 
     const embeddedChunks = [];
+    const failedChunks = [];
     const startTime = Date.now();
+    this.quotaExceeded = null;
 
-    for (let i = 0; i < chunks.length; i += this.batchSize) {
-      const batch = chunks.slice(i, i + this.batchSize);
-      const batchNum = Math.floor(i / this.batchSize) + 1;
-      const totalBatches = Math.ceil(chunks.length / this.batchSize);
+    const batches = this.createBatches(chunks, chunk =>
+      Math.min(this.estimateTokens(chunk.content), this.tokenizer.maxInputTokens));
+    let progress = 0;
+
+    for (let b = 0; b < batches.length; b++) {
+      const batch = batches[b];
+      const batchNum = b + 1;
+      const totalBatches = batches.length;
 
       console.log(`Processing batch ${batchNum}/${totalBatches}...`);
 
+      let result;
       try {
-        const embeddedBatch = await this.processBatch(batch);
-        embeddedChunks.push(...embeddedBatch);
+        result = await this.processBatch(batch);
 
         // Display progress
-        const progress = Math.min(i + this.batchSize, chunks.length);
+        progress += batch.length;
         const percentage = ((progress / chunks.length) * 100).toFixed(1);
         console.log(`✓ Progress: ${progress}/${chunks.length} (${percentage}%)`);
-
-        // Rate limiting - 100 RPM means ~600ms between batches
-        if (i + this.batchSize < chunks.length) {
-          await this.sleep(600);
-        }
       } catch (error) {
+        if (error instanceof DailyQuotaExceededError) {
+          // Finished batches are checkpointed, so re-running after the reset picks up from here
+          console.log(`\n🛑 ${error.message}`);
+          console.log(`   Stopping after ${embeddedChunks.length}/${chunks.length} chunks; re-run after the reset to continue`);
+          this.quotaExceeded = { message: error.message, resetAt: error.resetAt };
+          break;
+        }
         console.error(`❌ Batch ${batchNum} failed:`, error.message);
-        // Continue with next batch
+        // Dead-letter the whole batch and continue with the next one
+        result = { embedded: [], failed: batch.map(chunk => ({ chunk, error: error.message })) };
+      }
+
+      embeddedChunks.push(...result.embedded);
+      failedChunks.push(...result.failed);
+      if (options.onBatch) {
+        await options.onBatch(result.embedded, result.failed);
       }
     }
 
@@ -120,41 +180,171 @@ class EmbeddingGenerator {
     console.log(`   - Chunks processed: ${embeddedChunks.length}/${chunks.length}`);
     console.log(`   - Time taken: ${duration}s`);
     console.log(`   - Requests made: ${this.usage.requests}`);
+    if (this.cache.enabled) {
+      console.log(`   - Cache hits/misses: ${this.usage.cacheHits}/${this.usage.cacheMisses}`);
+    }
     console.log(`   - Estimated tokens: ${this.usage.tokens}`);
     console.log(`   - Errors: ${this.usage.errors}`);
+    if (failedChunks.length > 0) {
+      console.log(`   - Failed chunks: ${failedChunks.length}`);
+    }
+    const daily = await this.rateLimiter.status();
+    if (daily.requestsPerDay) {
+      console.log(`   - Daily quota used: ${daily.requests}/${daily.requestsPerDay}`);
+    }
+    if (this.usage.truncated > 0) {
+      console.log(`   - Truncated inputs: ${this.usage.truncated}`);
+    }
 
-    return embeddedChunks;
+    return { embeddedChunks, failedChunks };
   }
 
   /**
-   * Process a single batch
+   * Process a single batch into embedded chunks and failures ({ chunk, error })
    */
   async processBatch(batch) {
-    const embeddedChunks = [];
-
-    for (const chunk of batch) {
-      try {
-        const embedding = await this.generateEmbedding(
-          chunk.content,
-          'RETRIEVAL_DOCUMENT'
-        );
+    const embedded = [];
+    const failed = [];
+    const errors = [];
+    const embeddings = await this.embedTexts(batch.map(chunk => chunk.content), 'RETRIEVAL_DOCUMENT', errors);
+
+    batch.forEach((chunk, index) => {
+      const embedding = embeddings[index];
+      if (!embedding) {
+        const error = errors[index] || 'Unknown error';
+        console.error(`   ⚠️ Failed to embed chunk ${chunk.id}: ${error}`);
+        failed.push({ chunk, error });
+        return;
+      }
 
+      embedded.push({
+        ...chunk,
+        embedding: embedding,
+        embedding_model: this.model,
+        embedding_dimensions: this.dimensions,
         // Calculate vector norm for optimized similarity search
-        const norm = this.calculateNorm(embedding);
-
-        embeddedChunks.push({
-          ...chunk,
-          embedding: embedding,
-          embedding_model: this.model,
-          embedding_dimensions: this.dimensions,
-          vector_norm: norm
-        });
-      } catch (error) {
-        console.error(`   ⚠️ Failed to embed chunk ${chunk.id}: ${error.message}`);
+        vector_norm: this.calculateNorm(embedding)
+      });
+    });
+
+    return { embedded, failed };
+  }
+
+  /**
+   * Embed many texts with batchEmbedContents (null for texts that kept failing)
+   * Cached texts are skipped; failed items are retried on their own.
+   * errors[i] receives the last error message for each failed text.
+   */
+  async embedTexts(texts, taskType = 'RETRIEVAL_DOCUMENT', errors = []) {
+    const inputs = texts.map(text => this.truncateText(text));
+    const cacheParams = { model: this.model, dimensions: this.dimensions, taskType };
+    const results = new Array(texts.length).fill(null);
+    let pending = [];
+
+    for (let i = 0; i < inputs.length; i++) {
+      const cached = await this.cache.get(inputs[i], cacheParams);
+      if (cached) {
+        this.usage.cacheHits++;
+        results[i] = cached;
+      } else {
+        if (this.cache.enabled) this.usage.cacheMisses++;
+        pending.push(i);
+      }
+    }
+
+    for (let attempt = 0; pending.length > 0 && attempt < this.maxRetries; attempt++) {
+      if (attempt > 0) {
+        const delay = Math.min(1000 * Math.pow(2, attempt), 32000);
+        console.log(`   🔁 Retrying ${pending.length} failed texts in ${delay / 1000}s...`);
+        await this.sleep(delay);
+      }
+
+      const failed = [];
+      for (const batch of this.createBatches(pending, index => this.estimateTokens(inputs[index]))) {
+        failed.push(...await this.sendBatch(batch, inputs, cacheParams, results, errors));
+      }
+      pending = failed;
+    }
+
+    this.usage.errors += pending.length;
+    return results;
+  }
+
+  /**
+   * One batchEmbedContents request; fills results and returns the indexes that failed
+   * A rejected multi-item request is bisected so one bad text doesn't fail its neighbours
+   */
+  async sendBatch(indexes, inputs, cacheParams, results, errors = []) {
+    const tokens = indexes.reduce((sum, index) => sum + this.estimateTokens(inputs[index]), 0);
+    await this.rateLimiter.acquire(tokens);
+
+    try {
+      const model = this.genAI.getGenerativeModel({ model: this.model });
+      const response = await model.batchEmbedContents({
+        requests: indexes.map(index => ({
+          content: { parts: [{ text: inputs[index] }] },
+          taskType: cacheParams.taskType,
+          outputDimensionality: this.dimensions
+        }))
+      });
+
+      this.usage.requests++;
+      this.usage.tokens += tokens;
+
+      const failed = [];
+      for (let i = 0; i < indexes.length; i++) {
+        const values = response.embeddings?.[i]?.values;
+        if (Array.isArray(values) && values.length === this.dimensions) {
+          results[indexes[i]] = values;
+          await this.cache.set(inputs[indexes[i]], cacheParams, values);
+        } else {
+          errors[indexes[i]] = Array.isArray(values)
+            ? `Embedding has ${values.length} dimensions, expected ${this.dimensions}`
+            : 'No embedding returned';
+          failed.push(indexes[i]);
+        }
+      }
+      return failed;
+    } catch (error) {
+      const rateLimited = error.message?.includes('429') || error.message?.includes('RATE_LIMIT');
+      const rejected = /\[4\d\d/.test(error.message || '') && !rateLimited;
+      if (rateLimited) this.rateLimiter.drain();
+
+      if (rejected && indexes.length > 1) {
+        const middle = Math.ceil(indexes.length / 2);
+        return [
+          ...await this.sendBatch(indexes.slice(0, middle), inputs, cacheParams, results, errors),
+          ...await this.sendBatch(indexes.slice(middle), inputs, cacheParams, results, errors)
+        ];
       }
+
+      indexes.forEach(index => { errors[index] = error.message; });
+
+      console.log(`   ⚠️ Batch of ${indexes.length} failed${rateLimited ? ' (rate limited)' : ''}: ${error.message}`);
+      return indexes;
     }
+  }
+
+  /**
+   * Embed sentence windows for semantic chunking (failed texts map to null)
+   */
+  async embedSentences(texts) {
+    console.log(`\n🧠 Embedding ${texts.length} sentence windows for semantic chunking`);
+    return this.embedTexts(texts, 'SEMANTIC_SIMILARITY');
+  }
 
-    return embeddedChunks;
+  /**
+   * Two or three sentence summary of what a page's API is for
+   */
+  async summarizePage(page) {
+    const model = this.genAI.getGenerativeModel({ model: this.summaryModel });
+    const prompt = `Summarize in 2-3 sentences what the following Google Apps Script documentation page covers ` +
+      `and what it is used for. Mention the main classes or services. Answer with the summary only.\n\n` +
+      `# ${page.title}\n\n${this.tokenizer.truncate(page.markdown || '', 6000)}`;
+
+    const result = await model.generateContent(prompt);
+    this.usage.requests++;
+    return result.response.text();
   }
 
   /**
@@ -166,29 +356,126 @@ class EmbeddingGenerator {
 
   /**
    * Process crawled data end-to-end
+   * Pass options.urls to only chunk and embed a subset of pages,
+   * and options.manifest (CrawlManifest) to report chunk-level changes
    */
-  async processData(inputPath) {
+  async processData(inputPath, options = {}) {
     try {
       // Load crawled data
       console.log(`\n📂 Loading data from: ${inputPath}`);
-      const rawData = await fs.readFile(inputPath, 'utf-8');
-      const pages = JSON.parse(rawData);
+      const allPages = await new CrawlNormalizer().load(inputPath);
+      let pages = allPages;
+
+      // Class/method graph of the whole crawl (incremental runs still see every page)
+      const graph = ApiGraph.fromPages(allPages);
+      let graphPath = null;
+      if (Object.keys(graph.types).length > 0) {
+        graphPath = await graph.save(options.graphPath);
+        console.log(`🕸️ API graph: ${Object.keys(graph.types).length} types, ${Object.keys(graph.methods).length} methods → ${graphPath}`);
+      }
+
+      if (options.urls) {
+        const urls = new Set(options.urls);
+        const totalPages = pages.length;
+        pages = pages.filter(page => urls.has(page.url));
+        console.log(`   Incremental mode: ${pages.length}/${totalPages} pages new or modified`);
+      }
 
-      // Chunk the pages
+      // Chunk the pages (every page is chunked so boilerplate and duplicates are
+      // judged the same way as in a full run; only the selected pages' chunks are kept)
       console.log(`\n✂️ Chunking ${pages.length} pages...`);
       const chunker = new DocumentChunker();
-      const { chunks, stats: chunkStats } = chunker.processPages(pages);
+      if (this.semanticEmbeddings === 'gemini') {
+        await chunker.prepare(allPages, texts => this.embedSentences(texts));
+      }
+      if (chunker.pageSummaries === 'llm') {
+        console.log(`\n📝 Summarizing ${pages.length} pages with ${this.summaryModel}...`);
+        await chunker.prepareSummaries(pages, page => this.summarizePage(page));
+      }
+      const { chunks, stats: chunkStats } = chunker.processPages(
+        allPages,
+        options.urls ? { urls: pages.map(page => page.url) } : {}
+      );
 
-      // Generate embeddings
-      const embeddedChunks = await this.processChunks(chunks);
+      let chunkChanges = null;
+      if (options.manifest) {
+        chunkChanges = chunker.diffChunks(
+          options.manifest.chunkIndex(),
+          chunks,
+          pages.map(page => page.url).filter(Boolean)
+        );
+        this.logChunkChanges(chunkChanges);
+      }
+
+      // Resume an unfinished run over the same crawl, or start a new one
+      const job = await new EmbeddingJob({ jobPath: options.jobPath }).load();
+      let checkpointed = [];
+      if (job.canResume(inputPath)) {
+        checkpointed = await job.embeddedChunks();
+        await job.resume(chunks.length);
+        console.log(`\n♻️ Resuming embedding job: ${checkpointed.length} chunks already embedded`);
+      } else {
+        await job.start(inputPath, chunks.length);
+      }
+
+      // Generate embeddings (checkpointed after every batch)
+      const doneIds = new Set(checkpointed.map(chunk => chunk.id));
+      const { failedChunks } = await this.processChunks(
+        chunks.filter(chunk => !doneIds.has(chunk.id)),
+        { onBatch: (embedded, failed) => job.record(embedded, failed.length) }
+      );
+
+      const deadLetter = await new DeadLetterStore({ deadLetterPath: options.deadLetterPath }).load();
+      deadLetter.add(failedChunks, job.job.outputPath);
+      await deadLetter.save();
+      if (failedChunks.length > 0) {
+        console.log(`\n☠️ ${failedChunks.length} failed chunks written to ${deadLetter.deadLetterPath} (retry with: npm run embed:retry)`);
+      }
 
-      // Save results
-      const outputPath = await this.saveEmbeddings(embeddedChunks);
+      if (this.quotaExceeded) {
+        await job.stop('daily_quota');
+        console.log(`\n⏸️ Embedding job checkpointed at ${job.job.checkpointPath}`);
+
+        return {
+          chunks: job.job.embedded,
+          outputPath: null,
+          checkpointPath: job.job.checkpointPath,
+          graphPath,
+          chunkStats,
+          chunkChanges,
+          failedChunks: failedChunks.length,
+          quotaExceeded: this.quotaExceeded,
+          usage: this.usage
+        };
+      }
+
+      // Save results (chunk ids no longer produced by the crawl are left out)
+      const chunkIds = new Set(chunks.map(chunk => chunk.id));
+      const embeddedChunks = await job.embeddedChunks();
+      const outputChunks = [...new Map(embeddedChunks
+        .filter(chunk => chunkIds.has(chunk.id))
+        .map(chunk => [chunk.id, chunk])).values()];
+      const outputPath = await this.saveEmbeddings(outputChunks, job.job.outputPath);
+      await job.complete(outputChunks.length);
+
+      deadLetter.remove(outputChunks.map(chunk => chunk.id));
+      await deadLetter.save();
+
+      // Only a finished run replaces the indexed chunks (a stopped one is diffed again on resume)
+      if (chunkChanges) {
+        const index = chunker.indexChunks(chunks);
+        options.manifest.updateChunks(index);
+        await this.queueStaleChunks(chunkChanges, index, options.stalePath);
+      }
 
       return {
-        chunks: embeddedChunks.length,
+        chunks: outputChunks.length,
         outputPath,
+        graphPath,
         chunkStats,
+        chunkChanges,
+        failedChunks: failedChunks.length,
+        quotaExceeded: null,
         usage: this.usage
       };
     } catch (error) {
@@ -197,22 +484,147 @@ class EmbeddingGenerator {
     }
   }
 
+  /**
+   * Queue the ids a finished run replaced, with their replacements, so the upload step
+   * deletes their rows once the replacements are uploaded
+   * (changed chunks wait for their new id, removed ones for their page's current chunks)
+   */
+  async queueStaleChunks({ pages }, index, stalePath) {
+    const staleChunks = await new StaleChunkStore({ stalePath }).load();
+
+    staleChunks.add(Object.entries(pages).flatMap(([url, report]) => [
+      ...report.changed.map(change => ({ id: change.previousId, replacedBy: [change.id] })),
+      ...report.removed.map(id => ({ id, replacedBy: Object.values(index[url] || {}) }))
+    ]));
+    staleChunks.remove(Object.values(index).flatMap(chunkIds => Object.values(chunkIds)));
+    await staleChunks.save();
+  }
+
+  /**
+   * Print the chunk-level change report
+   */
+  logChunkChanges({ pages, totals }) {
+    console.log(`\n🔁 Chunks added/changed/removed/unchanged: ${totals.added}/${totals.changed}/${totals.removed}/${totals.unchanged}`);
+
+    Object.entries(pages)
+      .filter(([, report]) => report.added.length + report.changed.length + report.removed.length > 0)
+      .slice(0, 20)
+      .forEach(([url, report]) => {
+        console.log(`   - ${url}: +${report.added.length} ~${report.changed.length} -${report.removed.length}`);
+      });
+  }
+
+  /**
+   * Embed only the dead-lettered chunks and merge them into their output files
+   */
+  async retryFailed(options = {}) {
+    const deadLetter = await new DeadLetterStore({ deadLetterPath: options.deadLetterPath }).load();
+    const entries = deadLetter.list();
+
+    if (entries.length === 0) {
+      console.log('\n✅ No dead-lettered chunks to retry');
+      return { retried: 0, recovered: 0, failed: 0, remaining: 0, outputPaths: [] };
+    }
+
+    console.log(`\n🔁 Retrying ${entries.length} dead-lettered chunks`);
+    const { embeddedChunks, failedChunks } = await this.processChunks(entries.map(entry => entry.chunk));
+
+    // Group recovered chunks by the output file their run wrote
+    const outputFor = new Map(entries.map(entry => [entry.chunk.id, entry.outputPath]));
+    const byOutput = new Map();
+    embeddedChunks.forEach(chunk => {
+      const outputPath = outputFor.get(chunk.id) || null;
+      if (!byOutput.has(outputPath)) byOutput.set(outputPath, []);
+      byOutput.get(outputPath).push(chunk);
+    });
+
+    const outputPaths = [];
+    for (const [outputPath, chunks] of byOutput) {
+      outputPaths.push(await this.mergeEmbeddings(chunks, outputPath));
+    }
+
+    deadLetter.remove(embeddedChunks.map(chunk => chunk.id));
+    deadLetter.add(failedChunks);
+    await deadLetter.save();
+
+    console.log(`\n✅ Recovered ${embeddedChunks.length}/${entries.length} chunks`);
+    if (failedChunks.length > 0) {
+      console.log(`   ${failedChunks.length} still failing (see ${deadLetter.deadLetterPath})`);
+    }
+    // Chunks not tried before a quota stop stay in the dead-letter file too
+    const remaining = deadLetter.list().length;
+    if (this.quotaExceeded) {
+      console.log(`\n⏸️ Stopped at the daily quota with ${remaining} chunks left - run again after ${this.quotaExceeded.resetAt}`);
+    }
+
+    return {
+      retried: entries.length,
+      recovered: embeddedChunks.length,
+      failed: failedChunks.length,
+      remaining,
+      quotaExceeded: this.quotaExceeded,
+      outputPaths
+    };
+  }
+
+  /**
+   * Add chunks to an existing embeddings file, replacing entries with the same id
+   * (a new file is written when outputPath is missing or gone)
+   */
+  async mergeEmbeddings(chunks, outputPath) {
+    let existing = [];
+    if (outputPath) {
+      try {
+        existing = JSON.parse(await fs.readFile(outputPath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    const byId = new Map(existing.map(chunk => [chunk.id, chunk]));
+    chunks.forEach(chunk => byId.set(chunk.id, chunk));
+
+    return this.saveEmbeddings([...byId.values()], outputPath || undefined);
+  }
+
   /**
    * Save embedded chunks
    */
-  async saveEmbeddings(chunks) {
-    const timestamp = Date.now();
+  async saveEmbeddings(chunks, outputPath = null) {
     const outputDir = path.join(process.cwd(), 'data', 'processed');
+    outputPath = outputPath || path.join(outputDir, `embeddings_${Date.now()}.json`);
 
-    await fs.mkdir(outputDir, { recursive: true });
-
-    const outputPath = path.join(outputDir, `embeddings_${timestamp}.json`);
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
     await fs.writeFile(outputPath, JSON.stringify(chunks, null, 2));
 
     console.log(`\n💾 Embeddings saved to: ${outputPath}`);
     return outputPath;
   }
 
+  /**
+   * Group items into batches of at most batchSize items and batchTokens tokens
+   */
+  createBatches(items, tokensOf) {
+    const batches = [];
+    let current = [];
+    let currentTokens = 0;
+
+    items.forEach(item => {
+      const tokens = tokensOf(item);
+      if (current.length > 0 &&
+        (current.length >= this.batchSize || currentTokens + tokens > this.batchTokens)) {
+        batches.push(current);
+        current = [];
+        currentTokens = 0;
+      }
+      current.push(item);
+      currentTokens += tokens;
+    });
+
+    if (current.length > 0) batches.push(current);
+    return batches;
+  }
+
   /**
    * Helper: Calculate vector norm
    */
@@ -221,18 +633,21 @@ class EmbeddingGenerator {
   }
 
   /**
-   * Helper: Truncate text to character limit
+   * Helper: Truncate text to the model input limit (in tokens)
    */
-  truncateText(text, maxChars) {
-    if (text.length <= maxChars) return text;
-    return text.substring(0, maxChars) + '...';
+  truncateText(text, maxTokens = this.tokenizer.maxInputTokens) {
+    if (this.tokenizer.fits(text, maxTokens)) return text;
+
+    this.usage.truncated++;
+    console.warn(`⚠️ Truncating ${this.tokenizer.count(text)}-token text to ${maxTokens} tokens`);
+    return this.tokenizer.truncate(text, maxTokens);
   }
 
   /**
-   * Helper: Estimate token count
+   * Helper: Token count
    */
   estimateTokens(text) {
-    return Math.ceil(text.length / 4);
+    return this.tokenizer.count(text);
   }
 
   /**
@@ -250,33 +665,39 @@ if (require.main === module) {
   // Get most recent crawl file
   const dataDir = path.join(process.cwd(), 'data', 'raw');
 
-  fs.readdir(dataDir)
-    .then(files => {
-      const crawlFiles = files.filter(f =>
-        f.startsWith('crawl_') &&
-        f.endsWith('.json') &&
-        !f.includes('_stats_')
-      );
-      if (crawlFiles.length === 0) {
-        throw new Error('No crawl data found. Run crawler first.');
-      }
+  const run = process.argv[2] === 'retry-failed'
+    // Only the chunks in the dead-letter file
+    ? generator.retryFailed().then(result => {
+      process.exit(result.remaining > 0 ? 1 : 0);
+    })
+    : fs.readdir(dataDir)
+      .then(files => {
+        const crawlFiles = files.filter(f => /^crawl_\d+\.json$/.test(f));
+        if (crawlFiles.length === 0) {
+          throw new Error('No crawl data found. Run crawler first.');
+        }
 
-      // Use most recent file
-      crawlFiles.sort().reverse();
-      const inputPath = path.join(dataDir, crawlFiles[0]);
-      console.log(`Using crawl data: ${crawlFiles[0]}`);
+        // Use most recent file
+        crawlFiles.sort().reverse();
+        const inputPath = path.join(dataDir, crawlFiles[0]);
+        console.log(`Using crawl data: ${crawlFiles[0]}`);
+
+        return generator.processData(inputPath);
+      })
+      .then(result => {
+        if (result.quotaExceeded) {
+          console.log(`\n⏸️ Stopped at the daily quota - run again after ${result.quotaExceeded.resetAt} to resume`);
+        } else {
+          console.log('\n✅ Embedding generation complete!');
+          console.log(`   Output: ${result.outputPath}`);
+        }
+        process.exit(0);
+      });
 
-      return generator.processData(inputPath);
-    })
-    .then(result => {
-      console.log('\n✅ Embedding generation complete!');
-      console.log(`   Output: ${result.outputPath}`);
-      process.exit(0);
-    })
-    .catch(error => {
-      console.error('\n❌ Failed:', error.message);
-      process.exit(1);
-    });
+  run.catch(error => {
+    console.error('\n❌ Failed:', error.message);
+    process.exit(1);
+  });
 }
 
 module.exports = EmbeddingGenerator;
\ No newline at end of file
@@ -0,0 +1,383 @@
+#!/usr/bin/env node
+
+const fs = require('fs').promises;
+const path = require('path');
+const CrawlNormalizer = require('../scraper/crawl-normalizer');
+
+const GRAPH_VERSION = 1;
+
+/**
+ * Types that are not Apps Script classes (no edges are followed through them)
+ */
+const PRIMITIVE_TYPES = new Set([
+  'String', 'Integer', 'Number', 'Boolean', 'Object', 'Date', 'void', 'Byte', 'Char', 'Any'
+]);
+
+/**
+ * API Graph
+ * Services -> classes/enums -> methods -> return and parameter types,
+ * built from crawled reference pages
+ */
+class ApiGraph {
+  constructor(data = {}) {
+    this.types = data.types || {};
+    this.methods = data.methods || {};
+    this.generatedAt = data.generatedAt || null;
+    this.buildIndexes();
+  }
+
+  /**
+   * Build a graph from crawl page records
+   */
+  static fromPages(pages) {
+    const graph = new ApiGraph();
+
+    pages.forEach(page => {
+      const name = graph.typeName(page.title);
+      if (!name || !['Class', 'Enum', 'Interface'].includes(page.component_type)) return;
+
+      graph.types[name] = {
+        name,
+        kind: page.component_type.toLowerCase(),
+        service: graph.serviceOf(page.url),
+        url: page.url,
+        description: page.structured_data?.page_description || null,
+        deprecated: !!page.deprecated,
+        values: page.component_type === 'Enum' ? (page.properties || []).map(prop => prop.property_name) : [],
+        methods: []
+      };
+
+      (page.methods || []).forEach(method => {
+        const id = `${name}.${method.signature}`;
+        graph.methods[id] = {
+          id,
+          owner: name,
+          name: method.signature.split('(')[0],
+          signature: method.signature,
+          returns: graph.normalizeType(method.return_type),
+          return_type: method.return_type || null,
+          parameters: (method.parameters || []).map(param => ({
+            name: param.param_name,
+            type: graph.normalizeType(param.type),
+            raw_type: param.type || null
+          })),
+          description: method.description || '',
+          deprecated: !!method.deprecated
+        };
+        graph.types[name].methods.push(id);
+      });
+    });
+
+    graph.generatedAt = new Date().toISOString();
+    graph.buildIndexes();
+    return graph;
+  }
+
+  /**
+   * Load a saved graph
+   */
+  static async load(filePath = ApiGraph.defaultPath()) {
+    const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    if (data.version !== GRAPH_VERSION) {
+      throw new Error(`Unsupported API graph version ${data.version} (expected ${GRAPH_VERSION})`);
+    }
+    return new ApiGraph(data);
+  }
+
+  /**
+   * data/processed/api_graph.json
+   */
+  static defaultPath() {
+    return path.join(process.cwd(), 'data', 'processed', 'api_graph.json');
+  }
+
+  /**
+   * Save the graph (next to the embeddings by default)
+   */
+  async save(filePath = ApiGraph.defaultPath()) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify({
+      version: GRAPH_VERSION,
+      generatedAt: this.generatedAt,
+      typeCount: Object.keys(this.types).length,
+      methodCount: Object.keys(this.methods).length,
+      types: this.types,
+      methods: this.methods
+    }, null, 2));
+    return filePath;
+  }
+
+  /**
+   * Reverse indexes: type -> methods returning it / accepting it
+   */
+  buildIndexes() {
+    this.returnedBy = {};
+    this.acceptedBy = {};
+
+    Object.values(this.methods).forEach(method => {
+      if (method.returns) {
+        (this.returnedBy[method.returns] = this.returnedBy[method.returns] || []).push(method.id);
+      }
+      new Set(method.parameters.map(param => param.type).filter(Boolean)).forEach(type => {
+        (this.acceptedBy[type] = this.acceptedBy[type] || []).push(method.id);
+      });
+    });
+  }
+
+  /**
+   * "Class Range" -> "Range"
+   */
+  typeName(title) {
+    const match = (title || '').match(/^(?:Class|Enum|Interface)\s+([\w.]+)/i);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Service from a reference URL (.../reference/spreadsheet/range -> spreadsheet)
+   */
+  serviceOf(url) {
+    const match = (url || '').match(/\/reference\/([^/]+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * "Range[]" / "Range[][]" / "SpreadsheetApp.Range" -> "Range"
+   */
+  normalizeType(type) {
+    if (!type) return null;
+    const name = type.replace(/\[\]/g, '').replace(/<.*>/, '').trim().split(/[.\s]/).pop();
+    return /^[A-Za-z_]\w*$/.test(name) ? name : null;
+  }
+
+  /**
+   * Case-insensitive lookup of a known type name
+   */
+  resolveType(name) {
+    if (!name) return null;
+    if (this.types[name] || this.returnedBy[name] || this.acceptedBy[name]) return name;
+
+    const lower = name.toLowerCase();
+    return Object.keys(this.types).find(type => type.toLowerCase() === lower) ||
+      Object.keys(this.returnedBy).find(type => type.toLowerCase() === lower) ||
+      Object.keys(this.acceptedBy).find(type => type.toLowerCase() === lower) ||
+      null;
+  }
+
+  /**
+   * Methods that return a type ("what returns a Range?")
+   */
+  whatReturns(typeName) {
+    const type = this.resolveType(typeName);
+    return (this.returnedBy[type] || []).map(id => this.methods[id]);
+  }
+
+  /**
+   * Methods with a parameter of a type ("which methods accept a Blob?")
+   */
+  whichAccept(typeName) {
+    const type = this.resolveType(typeName);
+    return (this.acceptedBy[type] || []).map(id => this.methods[id]);
+  }
+
+  /**
+   * Shortest method chain from one type to another
+   * ("how do I get from SpreadsheetApp to a Chart?")
+   */
+  findPath(fromName, toName, maxDepth = 6) {
+    const from = this.resolveType(fromName);
+    if (!from) return null;
+
+    // The exact type when it is known; otherwise suffix matches ("Chart" reaches EmbeddedChart)
+    const exact = this.resolveType(toName);
+    const lower = toName.toLowerCase();
+    const known = [...Object.keys(this.types), ...Object.keys(this.returnedBy)];
+    const targets = new Set(exact ? [exact] : known.filter(type => type.toLowerCase().endsWith(lower)));
+    if (targets.size === 0) return null;
+    if (targets.has(from)) return [];
+
+    const previous = new Map([[from, null]]);
+    let frontier = [from];
+
+    for (let depth = 0; depth < maxDepth && frontier.length > 0; depth++) {
+      const next = [];
+
+      for (const type of frontier) {
+        for (const id of this.types[type]?.methods || []) {
+          const method = this.methods[id];
+          const target = method.returns;
+          if (!target || PRIMITIVE_TYPES.has(target) || previous.has(target)) continue;
+
+          previous.set(target, { type, method });
+          if (targets.has(target)) return this.unwindPath(previous, target);
+          next.push(target);
+        }
+      }
+
+      frontier = next;
+    }
+
+    return null;
+  }
+
+  /**
+   * Steps from the BFS predecessor map
+   */
+  unwindPath(previous, to) {
+    const steps = [];
+    let current = to;
+
+    while (previous.get(current)) {
+      const { type, method } = previous.get(current);
+      steps.unshift({ from: type, method: method.signature, to: current, id: method.id });
+      current = type;
+    }
+
+    return steps;
+  }
+
+  /**
+   * Classes one hop away: returned by, accepted by, or returning this type
+   */
+  linkedTypes(typeName) {
+    const type = this.resolveType(typeName);
+    if (!type) return { returns: [], accepts: [], obtainedFrom: [] };
+
+    const own = (this.types[type]?.methods || []).map(id => this.methods[id]);
+    const known = name => name && !PRIMITIVE_TYPES.has(name) && name !== type;
+    const unique = names => [...new Set(names.filter(known))];
+
+    return {
+      returns: unique(own.map(method => method.returns)),
+      accepts: unique(own.flatMap(method => method.parameters.map(param => param.type))),
+      obtainedFrom: unique((this.returnedBy[type] || []).map(id => this.methods[id].owner))
+    };
+  }
+
+  /**
+   * Short text about a type for RAG context
+   */
+  describeType(typeName, limit = 8) {
+    const type = this.resolveType(typeName);
+    const info = this.types[type];
+    if (!info) return null;
+
+    const linked = this.linkedTypes(type);
+    const producers = this.whatReturns(type).slice(0, limit).map(method => `${method.owner}.${method.signature}`);
+    const lines = [`${info.kind === 'enum' ? 'Enum' : 'Class'} ${type}${info.service ? ` (${info.service} service)` : ''}`];
+
+    if (info.description) lines.push(info.description);
+    if (info.values.length > 0) lines.push(`Values: ${info.values.slice(0, limit * 2).join(', ')}`);
+    if (producers.length > 0) lines.push(`Obtained from: ${producers.join(', ')}`);
+    if (linked.returns.length > 0) lines.push(`Methods return: ${linked.returns.slice(0, limit).join(', ')}`);
+    if (linked.accepts.length > 0) lines.push(`Methods accept: ${linked.accepts.slice(0, limit).join(', ')}`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Context block describing the classes in search results and the classes linked to them
+   * Result classes come from metadata.breadcrumb ("Class Range > Methods > ...")
+   */
+  contextFor(results, options = {}) {
+    const maxTypes = options.maxTypes || 5;
+    const seeds = [...new Set(results
+      .map(result => this.typeName((result.metadata?.breadcrumb || result.document_title || '').split(' > ')[0]))
+      .filter(name => name && this.types[name]))];
+
+    const names = [...seeds];
+    seeds.forEach(seed => {
+      const linked = this.linkedTypes(seed);
+      [...linked.obtainedFrom, ...linked.returns].forEach(name => {
+        if (this.types[name] && !names.includes(name)) names.push(name);
+      });
+    });
+
+    return names
+      .slice(0, maxTypes)
+      .map(name => this.describeType(name))
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  /**
+   * Answer "what returns X", "which methods accept X" and "from X to Y" questions
+   */
+  ask(question) {
+    const returns = question.match(/what (?:methods? )?returns? (?:an? |the )?(\w+)/i);
+    if (returns) {
+      return { kind: 'returns', type: returns[1], results: this.whatReturns(returns[1]) };
+    }
+
+    const accepts = question.match(/(?:which|what) methods? (?:accepts?|takes?|uses?) (?:an? |the )?(\w+)/i);
+    if (accepts) {
+      return { kind: 'accepts', type: accepts[1], results: this.whichAccept(accepts[1]) };
+    }
+
+    const route = question.match(/from (\w+) to (?:an? |the )?(\w+)/i);
+    if (route) {
+      return { kind: 'path', from: route[1], to: route[2], results: this.findPath(route[1], route[2]) };
+    }
+
+    const type = (question.match(/\b[A-Z]\w+\b/g) || []).find(word => this.types[this.resolveType(word)]);
+    return { kind: 'type', type: type || null, results: type ? this.describeType(type) : null };
+  }
+
+  /**
+   * Human-readable answer for ask()
+   */
+  formatAnswer(answer) {
+    if (answer.kind === 'path') {
+      if (!answer.results) return `No path found from ${answer.from} to ${answer.to}`;
+      return answer.results.map(step => `${step.from}.${step.method} → ${step.to}`).join('\n');
+    }
+
+    if (answer.kind === 'type') {
+      return answer.results || 'No known class or enum in the question';
+    }
+
+    const verb = answer.kind === 'returns' ? 'return' : 'accept';
+    if (answer.results.length === 0) return `No methods ${verb} ${answer.type}`;
+    return [
+      `${answer.results.length} methods ${verb} ${answer.type}:`,
+      ...answer.results.map(method => `  - ${method.owner}.${method.signature}${method.deprecated ? ' (deprecated)' : ''}`)
+    ].join('\n');
+  }
+}
+
+ApiGraph.GRAPH_VERSION = GRAPH_VERSION;
+
+// CLI execution
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!command) {
+    console.log('Usage: node api-graph.js build <crawl.json> | node api-graph.js "<question>"');
+    console.log('\nExamples:');
+    console.log('  node api-graph.js build data/raw/crawl_1759000000000.json');
+    console.log('  node api-graph.js "what returns a Range?"');
+    console.log('  node api-graph.js "how do I get from SpreadsheetApp to a Chart?"');
+    console.log('  node api-graph.js "which methods accept a Blob?"');
+    process.exit(1);
+  }
+
+  (async () => {
+    if (command === 'build') {
+      if (!args[0]) throw new Error('Crawl file is required');
+      const graph = ApiGraph.fromPages(await new CrawlNormalizer().load(args[0]));
+      const outputPath = await graph.save(args[1]);
+      console.log(`✅ ${Object.keys(graph.types).length} types, ${Object.keys(graph.methods).length} methods`);
+      console.log(`💾 Graph saved to: ${outputPath}`);
+      return;
+    }
+
+    const graph = await ApiGraph.load();
+    console.log(graph.formatAnswer(graph.ask([command, ...args].join(' '))));
+  })()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = ApiGraph;
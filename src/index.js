@@ -1,6 +1,9 @@
 require('dotenv').config();
 const FirecrawlCrawler = require('./scraper/crawler');
+const LocalFileCrawler = require('./scraper/local-crawler');
+const CodeSampleCrawler = require('./scraper/code-sample-crawler');
 const EmbeddingGenerator = require('./embeddings/generator');
+const StaleChunkStore = require('./storage/stale-chunks');
 const path = require('path');
 const fs = require('fs').promises;
 
@@ -9,8 +12,16 @@ const fs = require('fs').promises;
  * Coordinates the entire RAG pipeline from crawling to embeddings
  */
 class GASRAGPipeline {
-  constructor() {
-    this.crawler = new FirecrawlCrawler();
+  constructor(config = {}) {
+    // Ingestion source: Firecrawl (default), a local directory of Markdown/HTML files,
+    // or a local repository of .gs/.js code samples
+    if (config.codeDir) {
+      this.crawler = new CodeSampleCrawler({ rootDir: config.codeDir });
+    } else if (config.localDir) {
+      this.crawler = new LocalFileCrawler({ rootDir: config.localDir });
+    } else {
+      this.crawler = new FirecrawlCrawler();
+    }
     this.embedder = new EmbeddingGenerator();
   }
 
@@ -55,10 +66,47 @@ class GASRAGPipeline {
           dataPath = await this.findLatestCrawlData();
         }
 
-        results.embeddings = await this.embedder.processData(dataPath);
+        // Only re-embed pages that are new or changed since the last run
+        const pages = results.crawl?.data || await this.crawler.normalizer.load(dataPath);
+        const changes = results.crawl?.changes || await this.crawler.detectChanges(pages);
+        const changedUrls = [...changes.added, ...changes.modified];
+
+        if (!options.full && changedUrls.length === 0) {
+          console.log('⏭️  No new or modified pages - nothing to embed\n');
+        } else {
+          results.embeddings = await this.embedder.processData(
+            dataPath,
+            {
+              ...(options.full ? {} : { urls: changedUrls }),
+              manifest: this.crawler.manifest
+            }
+          );
+
+          if (!results.embeddings.quotaExceeded) {
+            console.log('\n✅ Embedding phase complete!');
+            console.log(`   Embeddings saved: ${results.embeddings.outputPath}`);
+          }
+          if (results.embeddings.failedChunks > 0) {
+            console.log(`   ⚠️ ${results.embeddings.failedChunks} chunks dead-lettered (retry with: npm run embed:retry)`);
+          }
+        }
 
-        console.log('\n✅ Embedding phase complete!');
-        console.log(`   Embeddings saved: ${results.embeddings.outputPath}`);
+        if (results.embeddings?.quotaExceeded) {
+          // Leave the manifest alone so the next run still sees these pages as new or modified
+          console.log(`   🛑 Stopped at the daily quota - re-run after ${results.embeddings.quotaExceeded.resetAt} to finish`);
+        } else {
+          // Record indexed content so the next run can skip unchanged pages
+          const removedChunkIds = this.crawler.manifest.removedChunkIds(changes.removed);
+          this.crawler.manifest.update(pages, changes.removed);
+          await this.crawler.manifest.save();
+
+          if (changes.removed.length > 0) {
+            const staleChunks = await new StaleChunkStore().load();
+            staleChunks.add(removedChunkIds.map(id => ({ id, replacedBy: [] })));
+            await staleChunks.save();
+            console.log(`   🗑️ ${changes.removed.length} pages no longer crawled (${removedChunkIds.length} chunks queued for deletion on upload)`);
+          }
+        }
       }
 
       // Calculate total time
@@ -76,9 +124,15 @@ class GASRAGPipeline {
         console.log(`   Properties extracted: ${results.crawl.stats.totalProperties}`);
       }
 
+      if (results.crawl?.stats.changes) {
+        const { added, modified, unchanged } = results.crawl.stats.changes;
+        console.log(`   Pages new/modified/unchanged: ${added}/${modified}/${unchanged}`);
+      }
+
       if (results.embeddings) {
         console.log(`   Chunks created: ${results.embeddings.chunks}`);
         console.log(`   API requests: ${results.embeddings.usage.requests}`);
+        console.log(`   Embedding cache hits/misses: ${results.embeddings.usage.cacheHits}/${results.embeddings.usage.cacheMisses}`);
       }
 
       console.log(`   Total time: ${duration} seconds`);
@@ -97,13 +151,14 @@ class GASRAGPipeline {
   }
 
   /**
-   * Find the most recent crawl data file
+   * Find the most recent crawl data file written by the current source
    */
   async findLatestCrawlData() {
     const dataDir = path.join(process.cwd(), 'data', 'raw');
     const files = await fs.readdir(dataDir);
 
-    const crawlFiles = files.filter(f => f.startsWith('crawl_') && f.endsWith('.json'));
+    const pattern = new RegExp(`^${this.crawler.filePrefix}_\\d+\\.json$`);
+    const crawlFiles = files.filter(f => pattern.test(f));
     if (crawlFiles.length === 0) {
       throw new Error('No crawl data found. Please run crawl first.');
     }
@@ -133,15 +188,27 @@ class GASRAGPipeline {
   }
 }
 
+/**
+ * Value of a --name=value argument (everything after the first '=', so paths may contain '=')
+ */
+function argValue(args, name) {
+  const arg = args.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(arg.indexOf('=') + 1) : null;
+}
+
 // CLI interface
 if (require.main === module) {
-  const pipeline = new GASRAGPipeline();
   const args = process.argv.slice(2);
+  const pipeline = new GASRAGPipeline({
+    localDir: argValue(args, 'local-dir') || process.env.LOCAL_DOCS_DIR,
+    codeDir: argValue(args, 'code-dir')
+  });
 
   // Parse command line arguments
   const options = {
     skipCrawl: args.includes('--skip-crawl'),
     skipEmbeddings: args.includes('--skip-embeddings'),
+    full: args.includes('--full'),
     phase: args.find(arg => !arg.startsWith('--'))
   };
 
@@ -0,0 +1,422 @@
+/**
+ * Code Sample Parser
+ * Splits Apps Script .gs/.js sources into function-level samples
+ * (name, JSDoc, services used, line range) without a full JS parser
+ */
+
+// Built-in Apps Script services (SpreadsheetApp, PropertiesService, ...) match /\b[A-Z]\w*(App|Service)\b/
+const BUILTIN_SERVICES = [
+  'Utilities', 'Logger', 'Session', 'Browser', 'Charts', 'Maps', 'Jdbc', 'XmlService', 'console'
+];
+
+// Advanced services are only counted when used as Service.Resource (Drive.Files, Sheets.Spreadsheets)
+const ADVANCED_SERVICES = [
+  'AdminDirectory', 'AdminReports', 'Analytics', 'BigQuery', 'Calendar', 'Classroom', 'Docs',
+  'Drive', 'DriveActivity', 'Gmail', 'People', 'Sheets', 'Slides', 'Tasks', 'YouTube'
+];
+
+const NOT_METHODS = ['if', 'for', 'while', 'switch', 'catch', 'function', 'return', 'with'];
+
+class CodeParser {
+  /**
+   * Parse a source file into function samples
+   */
+  parse(source) {
+    if (!source) return [];
+
+    const masked = this.maskSource(source);
+    const depths = this.braceDepths(masked);
+    const samples = [];
+
+    this.findDeclarations(masked, depths).forEach(declaration => {
+      samples.push(this.buildSample(source, masked, declaration));
+
+      if (declaration.kind === 'class') {
+        this.findClassMethods(masked, depths, declaration).forEach(method => {
+          samples.push(this.buildSample(source, masked, method));
+        });
+      }
+    });
+
+    return samples
+      .filter(sample => sample.kind !== 'class')
+      .sort((a, b) => a.start_line - b.start_line);
+  }
+
+  /**
+   * Replace comment, string, template and regex contents with spaces
+   * (same length, newlines kept) so braces and keywords can be matched safely
+   */
+  maskSource(source) {
+    const out = source.split('');
+    const blank = (from, to) => {
+      for (let k = from; k < to; k++) {
+        if (out[k] !== '\n') out[k] = ' ';
+      }
+    };
+
+    // Brace depth of each open template `${` so we know when to resume the template
+    const templateStack = [];
+    let braceDepth = 0;
+    let lastSignificant = '';
+    let i = 0;
+
+    const scanTemplate = start => {
+      // start is just after the opening backtick or closing `}` of an expression
+      let j = start;
+      while (j < source.length) {
+        if (source[j] === '\\') { j += 2; continue; }
+        if (source[j] === '`') {
+          blank(start, j);
+          return { end: j + 1, expression: false };
+        }
+        if (source[j] === '$' && source[j + 1] === '{') {
+          blank(start, j + 2);
+          return { end: j + 2, expression: true };
+        }
+        j++;
+      }
+      blank(start, j);
+      return { end: j, expression: false };
+    };
+
+    while (i < source.length) {
+      const ch = source[i];
+      const next = source[i + 1];
+
+      if (ch === '/' && next === '/') {
+        const end = source.indexOf('\n', i);
+        const stop = end === -1 ? source.length : end;
+        blank(i, stop);
+        i = stop;
+        continue;
+      }
+
+      if (ch === '/' && next === '*') {
+        const end = source.indexOf('*/', i + 2);
+        const stop = end === -1 ? source.length : end + 2;
+        blank(i, stop);
+        i = stop;
+        continue;
+      }
+
+      if (ch === '"' || ch === "'") {
+        let j = i + 1;
+        while (j < source.length && source[j] !== ch && source[j] !== '\n') {
+          j += source[j] === '\\' ? 2 : 1;
+        }
+        blank(i + 1, j);
+        i = j + 1;
+        lastSignificant = ch;
+        continue;
+      }
+
+      if (ch === '`') {
+        const result = scanTemplate(i + 1);
+        if (result.expression) templateStack.push(braceDepth);
+        i = result.end;
+        lastSignificant = '`';
+        continue;
+      }
+
+      if (ch === '/' && (!lastSignificant || /[(,=:[!&|?{};+\-*%<>~^]/.test(lastSignificant))) {
+        // Regex literal
+        let j = i + 1;
+        let inClass = false;
+        while (j < source.length && source[j] !== '\n') {
+          if (source[j] === '\\') { j += 2; continue; }
+          if (source[j] === '[') inClass = true;
+          else if (source[j] === ']') inClass = false;
+          else if (source[j] === '/' && !inClass) break;
+          j++;
+        }
+        blank(i + 1, j);
+        i = j + 1;
+        lastSignificant = '/';
+        continue;
+      }
+
+      if (ch === '{') {
+        braceDepth++;
+      } else if (ch === '}') {
+        if (templateStack.length > 0 && templateStack[templateStack.length - 1] === braceDepth) {
+          templateStack.pop();
+          out[i] = ' ';
+          const result = scanTemplate(i + 1);
+          if (result.expression) templateStack.push(braceDepth);
+          i = result.end;
+          lastSignificant = '`';
+          continue;
+        }
+        braceDepth--;
+      }
+
+      if (!/\s/.test(ch)) {
+        lastSignificant = /[\w$]/.test(ch) ? 'a' : ch;
+      }
+      i++;
+    }
+
+    return out.join('');
+  }
+
+  /**
+   * Brace depth before each character of masked source
+   */
+  braceDepths(masked) {
+    const depths = new Array(masked.length);
+    let depth = 0;
+
+    for (let i = 0; i < masked.length; i++) {
+      depths[i] = depth;
+      if (masked[i] === '{') depth++;
+      else if (masked[i] === '}') depth = Math.max(0, depth - 1);
+    }
+
+    return depths;
+  }
+
+  /**
+   * Top-level function declarations, function/arrow assignments and classes
+   */
+  findDeclarations(masked, depths) {
+    const patterns = [
+      { kind: 'function', regex: /(^|[\s;])((?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)\s*\()/g },
+      {
+        kind: 'function',
+        regex: /(^|[\s;])((?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s+)?(?:function\b[^(]*\(|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>))/g
+      },
+      { kind: 'class', regex: /(^|[\s;])(class\s+([A-Za-z_$][\w$]*)[^{]*\{)/g }
+    ];
+
+    const declarations = [];
+    patterns.forEach(({ kind, regex }) => {
+      let match;
+      while ((match = regex.exec(masked)) !== null) {
+        const start = match.index + match[1].length;
+        if (depths[start] !== 0) continue;
+
+        const end = this.findDeclarationEnd(masked, start + match[2].length - 1, kind);
+        declarations.push({ kind, name: match[3], start, end });
+      }
+    });
+
+    // `const f = function g() {}` matches twice; keep the outer declaration
+    return declarations
+      .sort((a, b) => a.start - b.start)
+      .filter((declaration, index, sorted) =>
+        !sorted.slice(0, index).some(other => declaration.start < other.end));
+  }
+
+  /**
+   * Methods declared directly inside a class body
+   */
+  findClassMethods(masked, depths, classDeclaration) {
+    const methods = [];
+    const regex = /^[ \t]*((?:static\s+)?(?:async\s+)?\*?([A-Za-z_$][\w$]*)\s*\([^)]*\)\s*\{)/gm;
+    const bodyDepth = depths[classDeclaration.start] + 1;
+    const body = masked.slice(0, classDeclaration.end);
+
+    regex.lastIndex = classDeclaration.start;
+    let match;
+    while ((match = regex.exec(body)) !== null) {
+      const start = match.index + match[0].length - match[1].length;
+      if (depths[start] !== bodyDepth || NOT_METHODS.includes(match[2])) continue;
+
+      const end = this.matchBrace(masked, start + match[1].length - 1);
+      methods.push({
+        kind: 'method',
+        name: match[2] === 'constructor' ? classDeclaration.name : `${classDeclaration.name}.${match[2]}`,
+        start,
+        end
+      });
+      regex.lastIndex = end;
+    }
+
+    return methods;
+  }
+
+  /**
+   * End offset of a declaration whose header ends at `index`
+   */
+  findDeclarationEnd(masked, index, kind) {
+    if (kind === 'class') {
+      return this.matchBrace(masked, index);
+    }
+
+    // Arrow headers end at `=>`, everything else at the parameter list's `(`
+    const arrow = masked[index] === '>';
+    let i = arrow ? index + 1 : this.matchParen(masked, index);
+    while (i < masked.length && /\s/.test(masked[i])) i++;
+
+    if (masked[i] === '{') {
+      return this.matchBrace(masked, i);
+    }
+
+    if (!arrow) {
+      const brace = masked.indexOf('{', i);
+      if (brace !== -1) return this.matchBrace(masked, brace);
+    }
+
+    return this.expressionEnd(masked, i);
+  }
+
+  /**
+   * Offset just past the brace matching the `{` at index
+   */
+  matchBrace(masked, index) {
+    let depth = 0;
+    for (let i = index; i < masked.length; i++) {
+      if (masked[i] === '{') depth++;
+      else if (masked[i] === '}') {
+        depth--;
+        if (depth === 0) return i + 1;
+      }
+    }
+    return masked.length;
+  }
+
+  /**
+   * Offset of the `)` matching the `(` at index
+   */
+  matchParen(masked, index) {
+    let depth = 0;
+    for (let i = index; i < masked.length; i++) {
+      if (masked[i] === '(') depth++;
+      else if (masked[i] === ')') {
+        depth--;
+        if (depth === 0) return i + 1;
+      }
+    }
+    return masked.length;
+  }
+
+  /**
+   * End of an arrow function expression body (`;` or line end at depth 0)
+   */
+  expressionEnd(masked, index) {
+    let depth = 0;
+    for (let i = index; i < masked.length; i++) {
+      const ch = masked[i];
+      if ('([{'.includes(ch)) depth++;
+      else if (')]}'.includes(ch)) depth--;
+      else if (depth <= 0 && ch === ';') return i + 1;
+      else if (depth <= 0 && ch === '\n') {
+        const rest = masked.slice(i + 1).trimStart();
+        if (!/^[.?:+\-*/&|]/.test(rest)) return i;
+      }
+    }
+    return masked.length;
+  }
+
+  /**
+   * Build a sample record from a declaration
+   */
+  buildSample(source, masked, declaration) {
+    const jsdoc = this.findJsDoc(source, declaration.start);
+    const code = source.slice(declaration.start, declaration.end).replace(/\s+$/, '');
+    const doc = this.parseJsDoc(jsdoc);
+
+    return {
+      kind: declaration.kind,
+      name: declaration.name,
+      signature: this.extractSignature(source, masked, declaration),
+      description: doc.description,
+      params: doc.params,
+      returns: doc.returns,
+      jsdoc,
+      services: this.detectServices(masked.slice(declaration.start, declaration.end)),
+      code,
+      start_line: this.lineAt(source, jsdoc ? declaration.start - jsdoc.length : declaration.start),
+      end_line: this.lineAt(source, declaration.end - 1)
+    };
+  }
+
+  /**
+   * JSDoc block directly above a declaration (only whitespace in between)
+   */
+  findJsDoc(source, start) {
+    const before = source.slice(0, start).replace(/\s+$/, '');
+    if (!before.endsWith('*/')) return null;
+
+    const open = before.lastIndexOf('/**');
+    if (open === -1 || before.slice(open + 3).includes('/*')) return null;
+
+    return source.slice(open, start).replace(/\s+$/, '');
+  }
+
+  /**
+   * Description, @param and @return(s) from a JSDoc block
+   */
+  parseJsDoc(jsdoc) {
+    if (!jsdoc) {
+      return { description: '', params: [], returns: null };
+    }
+
+    const lines = jsdoc
+      .replace(/^\/\*\*|\*\/$/g, '')
+      .split('\n')
+      .map(line => line.replace(/^\s*\*\s?/, '').trimEnd());
+
+    const description = [];
+    const params = [];
+    let returns = null;
+
+    lines.forEach(line => {
+      const param = line.match(/^@param\s+(?:\{([^}]*)\}\s+)?\[?([\w$.]+)[^\]\s]*\]?\s*-?\s*(.*)$/);
+      const ret = line.match(/^@returns?\s+(?:\{([^}]*)\}\s*)?-?\s*(.*)$/);
+
+      if (param) {
+        params.push({ param_name: param[2], type: param[1] || null, description: param[3] });
+      } else if (ret) {
+        returns = { type: ret[1] || null, description: ret[2] };
+      } else if (!line.startsWith('@') && params.length === 0 && !returns) {
+        description.push(line);
+      }
+    });
+
+    return { description: description.join('\n').trim(), params, returns };
+  }
+
+  /**
+   * Apps Script services referenced in (masked) code
+   */
+  detectServices(maskedCode) {
+    const services = new Set();
+
+    (maskedCode.match(/\b[A-Z]\w*(?:App|Service)\b/g) || []).forEach(name => services.add(name));
+    BUILTIN_SERVICES.forEach(name => {
+      if (new RegExp(`\\b${name}\\.`).test(maskedCode)) services.add(name);
+    });
+    ADVANCED_SERVICES.forEach(name => {
+      if (new RegExp(`(^|[^.\\w$])${name}\\.[A-Z]`).test(maskedCode)) services.add(name);
+    });
+
+    services.delete('console');
+    return [...services].sort();
+  }
+
+  /**
+   * Header of the function up to its parameter list ("function foo(a, b = {})")
+   */
+  extractSignature(source, masked, declaration) {
+    const { start, end, name } = declaration;
+    const open = masked.indexOf('(', start);
+    const arrow = masked.indexOf('=>', start);
+
+    const header = open === -1 || open >= end || (arrow !== -1 && arrow < open)
+      ? source.slice(start, arrow !== -1 && arrow < end ? arrow : end)
+      : source.slice(start, this.matchParen(masked, open));
+
+    return header.replace(/\s+/g, ' ').trim() || name;
+  }
+
+  /**
+   * 1-based line number of an offset
+   */
+  lineAt(source, offset) {
+    return source.slice(0, Math.max(0, offset)).split('\n').length;
+  }
+}
+
+module.exports = CodeParser;
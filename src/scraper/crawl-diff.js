@@ -0,0 +1,355 @@
+#!/usr/bin/env node
+
+const fs = require('fs').promises;
+const path = require('path');
+const CrawlNormalizer = require('./crawl-normalizer');
+
+/**
+ * Crawl Snapshot Diff
+ * Reports pages, methods and properties that changed between two crawl_<ts>.json files
+ */
+class CrawlDiff {
+  /**
+   * Load a crawl snapshot of any schema version
+   */
+  async loadSnapshot(filePath) {
+    const pages = await new CrawlNormalizer().load(filePath);
+    return { path: filePath, pages };
+  }
+
+  /**
+   * Compare two page lists
+   */
+  compare(oldPages, newPages) {
+    const oldByUrl = this.indexByUrl(oldPages);
+    const newByUrl = this.indexByUrl(newPages);
+
+    const diff = {
+      summary: { added: 0, removed: 0, modified: 0, unchanged: 0 },
+      added: [],
+      removed: [],
+      modified: []
+    };
+
+    for (const [url, page] of newByUrl) {
+      if (!oldByUrl.has(url)) {
+        diff.added.push({ url, title: page.title });
+      }
+    }
+
+    for (const [url, page] of oldByUrl) {
+      if (!newByUrl.has(url)) {
+        diff.removed.push({ url, title: page.title });
+      }
+    }
+
+    for (const [url, newPage] of newByUrl) {
+      const oldPage = oldByUrl.get(url);
+      if (!oldPage) continue;
+
+      const markdown = this.compareMarkdown(oldPage.markdown || '', newPage.markdown || '');
+      const api = this.compareApi(oldPage, newPage);
+
+      if (markdown.changed || api.changed || oldPage.title !== newPage.title) {
+        diff.modified.push({
+          url,
+          title: newPage.title,
+          previousTitle: oldPage.title !== newPage.title ? oldPage.title : undefined,
+          className: this.className(newPage),
+          markdown,
+          methods: api.methods,
+          properties: api.properties
+        });
+      } else {
+        diff.summary.unchanged++;
+      }
+    }
+
+    diff.summary.added = diff.added.length;
+    diff.summary.removed = diff.removed.length;
+    diff.summary.modified = diff.modified.length;
+
+    return diff;
+  }
+
+  /**
+   * Map pages by URL (last one wins on duplicates)
+   */
+  indexByUrl(pages) {
+    const byUrl = new Map();
+    pages.forEach(page => {
+      if (page.url) byUrl.set(page.url, page);
+    });
+    return byUrl;
+  }
+
+  /**
+   * Class name for a reference page ("Class Range" -> "Range")
+   */
+  className(page) {
+    const title = page.structured_data?.page_title || page.title || '';
+    return title.replace(/^(Class|Enum|Interface)\s+/i, '').trim() || page.url;
+  }
+
+  /**
+   * Line and section level summary of a markdown change
+   */
+  compareMarkdown(oldMarkdown, newMarkdown) {
+    if (oldMarkdown === newMarkdown) {
+      return { changed: false, linesAdded: 0, linesRemoved: 0, sectionsAdded: [], sectionsRemoved: [], sectionsChanged: [] };
+    }
+
+    const oldLines = this.countLines(oldMarkdown);
+    const newLines = this.countLines(newMarkdown);
+    let linesAdded = 0;
+    let linesRemoved = 0;
+
+    for (const [line, count] of newLines) {
+      linesAdded += Math.max(0, count - (oldLines.get(line) || 0));
+    }
+    for (const [line, count] of oldLines) {
+      linesRemoved += Math.max(0, count - (newLines.get(line) || 0));
+    }
+
+    const oldSections = this.splitSections(oldMarkdown);
+    const newSections = this.splitSections(newMarkdown);
+
+    return {
+      changed: true,
+      linesAdded,
+      linesRemoved,
+      sectionsAdded: [...newSections.keys()].filter(h => !oldSections.has(h)),
+      sectionsRemoved: [...oldSections.keys()].filter(h => !newSections.has(h)),
+      sectionsChanged: [...newSections.keys()].filter(h =>
+        oldSections.has(h) && oldSections.get(h) !== newSections.get(h))
+    };
+  }
+
+  /**
+   * Count non-blank lines (multiset)
+   */
+  countLines(markdown) {
+    const counts = new Map();
+    markdown.split('\n').forEach(line => {
+      const trimmed = line.trim();
+      if (trimmed) counts.set(trimmed, (counts.get(trimmed) || 0) + 1);
+    });
+    return counts;
+  }
+
+  /**
+   * Map heading -> section body
+   */
+  splitSections(markdown) {
+    const sections = new Map();
+    markdown.split(/(?=^#{1,4} )/gm).forEach(section => {
+      const heading = section.match(/^(#{1,4} .+)$/m);
+      const key = heading ? heading[1].trim() : '(intro)';
+      sections.set(sections.has(key) ? `${key} (${sections.size})` : key, section.trim());
+    });
+    return sections;
+  }
+
+  /**
+   * Compare methods and properties of a reference page
+   */
+  compareApi(oldPage, newPage) {
+    const methods = this.compareMethods(oldPage.methods || [], newPage.methods || []);
+    const properties = this.compareProperties(oldPage.properties || [], newPage.properties || []);
+
+    const changed = Object.values(methods).some(list => list.length > 0) ||
+      Object.values(properties).some(list => list.length > 0);
+
+    return { changed, methods, properties };
+  }
+
+  /**
+   * New/removed methods, changed signatures and changed return types
+   */
+  compareMethods(oldMethods, newMethods) {
+    const oldBySignature = new Map(oldMethods.map(m => [m.signature, m]));
+    const newBySignature = new Map(newMethods.map(m => [m.signature, m]));
+    const methodName = signature => (signature || '').split('(')[0].trim();
+
+    const result = { added: [], removed: [], signatureChanged: [], returnTypeChanged: [] };
+
+    const addedSignatures = newMethods.filter(m => !oldBySignature.has(m.signature)).map(m => m.signature);
+    const removedSignatures = oldMethods.filter(m => !newBySignature.has(m.signature)).map(m => m.signature);
+
+    // Same method name on both sides with different signatures = signature change
+    const removedNames = new Set(removedSignatures.map(methodName));
+    const addedNames = new Set(addedSignatures.map(methodName));
+    const changedNames = [...addedNames].filter(name => removedNames.has(name));
+
+    changedNames.forEach(name => {
+      result.signatureChanged.push({
+        name,
+        before: removedSignatures.filter(s => methodName(s) === name),
+        after: addedSignatures.filter(s => methodName(s) === name)
+      });
+    });
+
+    result.added = addedSignatures.filter(s => !changedNames.includes(methodName(s)));
+    result.removed = removedSignatures.filter(s => !changedNames.includes(methodName(s)));
+
+    for (const [signature, newMethod] of newBySignature) {
+      const oldMethod = oldBySignature.get(signature);
+      if (oldMethod && (oldMethod.return_type || null) !== (newMethod.return_type || null)) {
+        result.returnTypeChanged.push({
+          signature,
+          before: oldMethod.return_type || null,
+          after: newMethod.return_type || null
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * New/removed properties and changed property types
+   */
+  compareProperties(oldProperties, newProperties) {
+    const oldByName = new Map(oldProperties.map(p => [p.property_name, p]));
+    const newByName = new Map(newProperties.map(p => [p.property_name, p]));
+
+    const result = {
+      added: [...newByName.keys()].filter(name => !oldByName.has(name)),
+      removed: [...oldByName.keys()].filter(name => !newByName.has(name)),
+      typeChanged: []
+    };
+
+    for (const [name, newProp] of newByName) {
+      const oldProp = oldByName.get(name);
+      if (oldProp && (oldProp.type || null) !== (newProp.type || null)) {
+        result.typeChanged.push({ name, before: oldProp.type || null, after: newProp.type || null });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Human-readable markdown report
+   */
+  formatReport(diff, oldPath, newPath) {
+    const lines = [
+      '# Crawl Snapshot Diff',
+      '',
+      `- Old: ${oldPath}`,
+      `- New: ${newPath}`,
+      '',
+      `**Pages:** ${diff.summary.added} added, ${diff.summary.removed} removed, ` +
+        `${diff.summary.modified} modified, ${diff.summary.unchanged} unchanged`,
+      ''
+    ];
+
+    if (diff.added.length > 0) {
+      lines.push('## Added Pages', '');
+      diff.added.forEach(page => lines.push(`- ${page.title || 'Untitled'} (${page.url})`));
+      lines.push('');
+    }
+
+    if (diff.removed.length > 0) {
+      lines.push('## Removed Pages', '');
+      diff.removed.forEach(page => lines.push(`- ${page.title || 'Untitled'} (${page.url})`));
+      lines.push('');
+    }
+
+    if (diff.modified.length > 0) {
+      lines.push('## Modified Pages', '');
+
+      diff.modified.forEach(page => {
+        lines.push(`### ${page.className}`, '', `${page.url}`, '');
+
+        if (page.previousTitle) {
+          lines.push(`- Title: "${page.previousTitle}" → "${page.title}"`);
+        }
+
+        const md = page.markdown;
+        if (md.changed) {
+          lines.push(`- Markdown: +${md.linesAdded} / -${md.linesRemoved} lines`);
+          md.sectionsAdded.forEach(h => lines.push(`  - Section added: ${h}`));
+          md.sectionsRemoved.forEach(h => lines.push(`  - Section removed: ${h}`));
+          md.sectionsChanged.forEach(h => lines.push(`  - Section changed: ${h}`));
+        }
+
+        page.methods.added.forEach(s => lines.push(`- ➕ Method: \`${s}\``));
+        page.methods.removed.forEach(s => lines.push(`- ➖ Method: \`${s}\``));
+        page.methods.signatureChanged.forEach(c =>
+          lines.push(`- ✏️ Signature: \`${c.before.join('`, `')}\` → \`${c.after.join('`, `')}\``));
+        page.methods.returnTypeChanged.forEach(c =>
+          lines.push(`- ✏️ Return type of \`${c.signature}\`: ${c.before} → ${c.after}`));
+        page.properties.added.forEach(name => lines.push(`- ➕ Property: \`${name}\``));
+        page.properties.removed.forEach(name => lines.push(`- ➖ Property: \`${name}\``));
+        page.properties.typeChanged.forEach(c =>
+          lines.push(`- ✏️ Property type of \`${c.name}\`: ${c.before} → ${c.after}`));
+
+        lines.push('');
+      });
+    }
+
+    return lines.join('\n').trim() + '\n';
+  }
+
+  /**
+   * Diff two snapshot files and save markdown + JSON reports
+   */
+  async run(oldPath, newPath, options = {}) {
+    const oldSnapshot = await this.loadSnapshot(oldPath);
+    const newSnapshot = await this.loadSnapshot(newPath);
+
+    const diff = this.compare(oldSnapshot.pages, newSnapshot.pages);
+    const report = this.formatReport(diff, oldPath, newPath);
+    const result = {
+      old: oldPath,
+      new: newPath,
+      generatedAt: new Date().toISOString(),
+      ...diff
+    };
+
+    const outputDir = options.outputDir || path.join(process.cwd(), 'data', 'raw');
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const timestamp = Date.now();
+    const jsonPath = path.join(outputDir, `diff_${timestamp}.json`);
+    const reportPath = path.join(outputDir, `diff_${timestamp}.md`);
+    await fs.writeFile(jsonPath, JSON.stringify(result, null, 2));
+    await fs.writeFile(reportPath, report);
+
+    return { diff: result, report, jsonPath, reportPath };
+  }
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const files = args.filter(arg => !arg.startsWith('--'));
+
+  if (files.length !== 2) {
+    console.log('Usage: node crawl-diff.js <old-crawl.json> <new-crawl.json> [--json]');
+    console.log('\nOptions:');
+    console.log('  --json    Print the machine-readable diff instead of the report');
+    console.log('\nExample:');
+    console.log('  node crawl-diff.js data/raw/crawl_1758000000000.json data/raw/crawl_1759000000000.json');
+    process.exit(1);
+  }
+
+  new CrawlDiff().run(files[0], files[1])
+    .then(({ diff, report, jsonPath, reportPath }) => {
+      if (args.includes('--json')) {
+        console.log(JSON.stringify(diff, null, 2));
+      } else {
+        console.log(report);
+        console.log(`💾 Report saved to: ${reportPath}`);
+        console.log(`💾 JSON saved to: ${jsonPath}`);
+      }
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('❌ Diff failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = CrawlDiff;
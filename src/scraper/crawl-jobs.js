@@ -0,0 +1,95 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Crawl Job Store
+ * Persists in-flight Firecrawl job IDs so an interrupted crawl can be resumed
+ */
+class CrawlJobStore {
+  constructor(config = {}) {
+    this.jobsPath = config.jobsPath ||
+      path.join(process.cwd(), 'data', 'raw', 'jobs.json');
+    this.jobs = {};
+  }
+
+  /**
+   * Load jobs from disk (empty store if none exists yet)
+   */
+  async load() {
+    try {
+      const content = await fs.readFile(this.jobsPath, 'utf8');
+      this.jobs = JSON.parse(content).jobs || {};
+    } catch {
+      this.jobs = {};
+    }
+
+    return this;
+  }
+
+  /**
+   * Save jobs to disk
+   */
+  async save() {
+    await fs.mkdir(path.dirname(this.jobsPath), { recursive: true });
+    await fs.writeFile(this.jobsPath, JSON.stringify({
+      updatedAt: new Date().toISOString(),
+      jobs: this.jobs
+    }, null, 2));
+  }
+
+  /**
+   * Record a newly started crawl job
+   */
+  async add(crawlId, target) {
+    await this.load();
+    this.jobs[crawlId] = {
+      id: crawlId,
+      target: target || null,
+      status: 'scraping',
+      startedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    await this.save();
+  }
+
+  /**
+   * Update fields on a tracked job
+   */
+  async update(crawlId, fields) {
+    await this.load();
+    if (!this.jobs[crawlId]) return;
+
+    this.jobs[crawlId] = {
+      ...this.jobs[crawlId],
+      ...fields,
+      updatedAt: new Date().toISOString()
+    };
+    await this.save();
+  }
+
+  /**
+   * Stop tracking jobs whose results have been saved
+   */
+  async remove(crawlIds) {
+    await this.load();
+    crawlIds.forEach(id => delete this.jobs[id]);
+    await this.save();
+  }
+
+  /**
+   * Get a tracked job by ID
+   */
+  get(crawlId) {
+    return this.jobs[crawlId] || null;
+  }
+
+  /**
+   * All tracked jobs, oldest first
+   */
+  list() {
+    return Object.values(this.jobs)
+      .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  }
+}
+
+module.exports = CrawlJobStore;
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Crawl Manifest
+ * Tracks a content hash per URL so re-crawls only re-embed changed pages,
+ * and the chunk ids last indexed for each page
+ */
+class CrawlManifest {
+  constructor(config = {}) {
+    this.manifestPath = config.manifestPath ||
+      path.join(process.cwd(), 'data', 'raw', 'manifest.json');
+    this.pages = {};
+    this.updatedAt = null;
+  }
+
+  /**
+   * Load manifest from disk (empty manifest if none exists yet)
+   */
+  async load() {
+    try {
+      const content = await fs.readFile(this.manifestPath, 'utf8');
+      const data = JSON.parse(content);
+      this.pages = data.pages || {};
+      this.updatedAt = data.updatedAt || null;
+    } catch {
+      this.pages = {};
+      this.updatedAt = null;
+    }
+
+    return this;
+  }
+
+  /**
+   * Save manifest to disk
+   */
+  async save() {
+    await fs.mkdir(path.dirname(this.manifestPath), { recursive: true });
+
+    this.updatedAt = new Date().toISOString();
+    await fs.writeFile(this.manifestPath, JSON.stringify({
+      updatedAt: this.updatedAt,
+      pageCount: Object.keys(this.pages).length,
+      pages: this.pages
+    }, null, 2));
+  }
+
+  /**
+   * Hash the parts of a page that feed into chunking
+   */
+  hashPage(page) {
+    const hash = crypto.createHash('sha256');
+    hash.update(page.title || '');
+    hash.update('\n');
+    hash.update(page.markdown || '');
+    hash.update('\n');
+    hash.update(JSON.stringify(page.methods || []));
+    hash.update(JSON.stringify(page.properties || []));
+    return hash.digest('hex');
+  }
+
+  /**
+   * Compare crawled pages against the manifest
+   * options.targets limits removals to pages of those targets (partial crawls)
+   */
+  diff(pages, options = {}) {
+    const changes = {
+      added: [],
+      modified: [],
+      unchanged: [],
+      removed: []
+    };
+    const seen = new Set();
+
+    pages.forEach(page => {
+      if (!page.url) return;
+      seen.add(page.url);
+
+      const previous = this.pages[page.url];
+      if (!previous) {
+        changes.added.push(page.url);
+      } else if (previous.hash !== this.hashPage(page)) {
+        changes.modified.push(page.url);
+      } else {
+        changes.unchanged.push(page.url);
+      }
+    });
+
+    const targets = options.targets ? new Set(options.targets) : null;
+    changes.removed = Object.entries(this.pages)
+      .filter(([url, entry]) => !seen.has(url) && (!targets || targets.has(entry.target)))
+      .map(([url]) => url);
+
+    return changes;
+  }
+
+  /**
+   * Record the current hashes for pages that have been indexed
+   */
+  update(pages, removedUrls = []) {
+    const now = new Date().toISOString();
+
+    pages.forEach(page => {
+      if (!page.url) return;
+      this.pages[page.url] = {
+        ...this.pages[page.url],
+        hash: this.hashPage(page),
+        title: page.title,
+        target: page.target || null,
+        indexedAt: now
+      };
+    });
+
+    removedUrls.forEach(url => {
+      delete this.pages[url];
+    });
+  }
+
+  /**
+   * Previously indexed chunks as { url: { chunk_key: id } }
+   */
+  chunkIndex() {
+    const index = {};
+    Object.entries(this.pages).forEach(([url, entry]) => {
+      if (entry.chunks) index[url] = entry.chunks;
+    });
+    return index;
+  }
+
+  /**
+   * Record the chunks indexed for each page ({ url: { chunk_key: id } })
+   */
+  updateChunks(index) {
+    Object.entries(index).forEach(([url, chunks]) => {
+      this.pages[url] = { ...this.pages[url], chunks };
+    });
+  }
+
+  /**
+   * Chunk ids of pages about to be dropped from the manifest
+   */
+  removedChunkIds(removedUrls) {
+    return removedUrls.flatMap(url => Object.values(this.pages[url]?.chunks || {}));
+  }
+}
+
+module.exports = CrawlManifest;
@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+
+const fs = require('fs').promises;
+const ReferenceParser = require('./reference-parser');
+const UrlNormalizer = require('./url-normalizer');
+
+/**
+ * Current crawl_<ts>.json schema version
+ *
+ * 0 - raw Firecrawl pages (array)
+ * 1 - processed pages without a version (array)
+ * 2 - { schemaVersion, generatedAt, pageCount, pages } envelope
+ */
+const SCHEMA_VERSION = 2;
+
+/**
+ * Page record (schema version 2)
+ *
+ * @typedef {Object} CrawlPage
+ * @property {string} url - Canonical page URL
+ * @property {string} title - Page title ("Untitled" when unknown)
+ * @property {string} markdown - Page content
+ * @property {Object} structured_data - Raw extract/LLM output, enriched by ReferenceParser
+ * @property {string|null} component_type - Class / Enum / Interface / Service / Code Sample
+ * @property {boolean} deprecated - Whole page (class/service) is deprecated
+ * @property {string|null} replacement - Suggested replacement when deprecated
+ * @property {Array<Object>} methods - { signature, description, parameters, return_type, code_example, deprecated, replacement }
+ * @property {Array<Object>} properties - { property_name, type, description }
+ * @property {string} scrapeDate - ISO timestamp of processing
+ * @property {string|null} target - Crawl target name
+ * @property {string[]} tags - Crawl target tags
+ * @property {Object} metadata - Firecrawl metadata (plus aliases, sourceFile, ...)
+ * @property {Array<Object>} [code_samples] - Function samples (code sample sources only)
+ * @property {Object} [quality] - { score, status, issues } from CrawlQualityChecker
+ */
+
+/**
+ * Crawl Normalizer
+ * Turns raw Firecrawl/local pages into versioned page records,
+ * validates crawl files and upgrades older ones
+ */
+class CrawlNormalizer {
+  constructor(config = {}) {
+    this.referenceParser = config.referenceParser || new ReferenceParser();
+    this.urlNormalizer = config.urlNormalizer || new UrlNormalizer();
+  }
+
+  /**
+   * Normalize raw pages into page records
+   */
+  normalize(rawData, target = null) {
+    return rawData.map(page => this.normalizePage(page, target));
+  }
+
+  /**
+   * Normalize one raw page
+   */
+  normalizePage(page, target = null) {
+    // Handle v2 response structure where JSON is in formats array
+    let structuredData = {};
+
+    if (page.formats && Array.isArray(page.formats)) {
+      const jsonFormat = page.formats.find(f => f.type === 'json');
+      if (jsonFormat && jsonFormat.data) {
+        structuredData = jsonFormat.data;
+      }
+    } else if (page.json) {
+      // Fallback to direct json field if it exists
+      structuredData = page.json;
+    } else if (page.extract) {
+      // Another possible location in v2
+      structuredData = page.extract;
+    }
+
+    // Canonical URL (canonical link, redirect target, no fragments/noise params)
+    const url = this.urlNormalizer.canonicalUrl(page);
+
+    // Fill methods/properties from the reference markdown (no LLM extraction needed)
+    if (page.markdown && this.referenceParser.isReferencePage(url, page.markdown)) {
+      structuredData = this.referenceParser.enrich(structuredData, page.markdown);
+    }
+
+    const record = {
+      url: url || null,
+      title: page.metadata?.title || structuredData.page_title || 'Untitled',
+      markdown: page.markdown || '',
+      structured_data: structuredData,
+      component_type: structuredData.component_type || null,
+      deprecated: !!structuredData.deprecated,
+      replacement: structuredData.replacement || null,
+      methods: structuredData.methods || [],
+      properties: structuredData.properties || [],
+      scrapeDate: new Date().toISOString(),
+      target: target?.name || null,
+      tags: target?.tags || [],
+      metadata: page.metadata || {}
+    };
+
+    if (page.code_samples) {
+      record.code_samples = page.code_samples;
+    }
+
+    return record;
+  }
+
+  /**
+   * Wrap page records in the versioned file envelope
+   */
+  wrap(pages) {
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      generatedAt: new Date().toISOString(),
+      pageCount: pages.length,
+      pages
+    };
+  }
+
+  /**
+   * Schema version of parsed crawl file content
+   */
+  detectVersion(data) {
+    if (data && !Array.isArray(data) && typeof data === 'object') {
+      return data.schemaVersion || 1;
+    }
+
+    const pages = Array.isArray(data) ? data : [];
+    return pages.length > 0 && pages.every(page => !this.isProcessed(page)) ? 0 : 1;
+  }
+
+  /**
+   * Processed page records carry structured_data/scrapeDate; raw Firecrawl pages don't
+   */
+  isProcessed(page) {
+    return 'structured_data' in page || 'scrapeDate' in page;
+  }
+
+  /**
+   * Upgrade parsed crawl file content to the current schema
+   */
+  upgrade(data) {
+    const fromVersion = this.detectVersion(data);
+
+    if (fromVersion > SCHEMA_VERSION) {
+      throw new Error(`Crawl schema version ${fromVersion} is newer than supported version ${SCHEMA_VERSION}`);
+    }
+
+    if (fromVersion === SCHEMA_VERSION) {
+      return { snapshot: data, fromVersion };
+    }
+
+    const pages = Array.isArray(data) ? data : (data.pages || data.data || []);
+    const upgraded = pages.map(page => this.isProcessed(page)
+      ? this.upgradePage(page)
+      : this.normalizePage(page));
+
+    return { snapshot: { ...this.wrap(upgraded), upgradedFrom: fromVersion }, fromVersion };
+  }
+
+  /**
+   * Fill fields added since schema version 1
+   */
+  upgradePage(page) {
+    const structuredData = page.structured_data || {};
+
+    return {
+      ...page,
+      url: this.urlNormalizer.normalize(page.url || page.metadata?.sourceURL) || null,
+      title: page.title || structuredData.page_title || 'Untitled',
+      markdown: page.markdown || '',
+      structured_data: structuredData,
+      component_type: page.component_type || structuredData.component_type || null,
+      deprecated: !!(page.deprecated || structuredData.deprecated),
+      replacement: page.replacement || structuredData.replacement || null,
+      methods: page.methods || structuredData.methods || [],
+      properties: page.properties || structuredData.properties || [],
+      scrapeDate: page.scrapeDate || null,
+      target: page.target || null,
+      tags: page.tags || [],
+      metadata: page.metadata || {}
+    };
+  }
+
+  /**
+   * Validate one page record, returning a list of problems
+   */
+  validatePage(page) {
+    const errors = [];
+    const isString = value => typeof value === 'string';
+
+    if (!page || typeof page !== 'object' || Array.isArray(page)) {
+      return ['page is not an object'];
+    }
+
+    if (page.url !== null && !isString(page.url)) errors.push('url must be a string or null');
+    if (!isString(page.title)) errors.push('title must be a string');
+    if (!isString(page.markdown)) errors.push('markdown must be a string');
+    if (typeof page.deprecated !== 'boolean') errors.push('deprecated must be a boolean');
+    if (!Array.isArray(page.tags)) errors.push('tags must be an array');
+    if (!page.metadata || typeof page.metadata !== 'object') errors.push('metadata must be an object');
+
+    if (!Array.isArray(page.methods)) {
+      errors.push('methods must be an array');
+    } else if (page.methods.some(method => !method || !isString(method.signature))) {
+      errors.push('every method needs a signature');
+    }
+
+    if (!Array.isArray(page.properties)) {
+      errors.push('properties must be an array');
+    } else if (page.properties.some(prop => !prop || !isString(prop.property_name))) {
+      errors.push('every property needs a property_name');
+    }
+
+    if (page.code_samples !== undefined && !Array.isArray(page.code_samples)) {
+      errors.push('code_samples must be an array');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a crawl snapshot (current schema)
+   */
+  validate(snapshot) {
+    const errors = [];
+
+    if (!snapshot || snapshot.schemaVersion !== SCHEMA_VERSION) {
+      errors.push({ index: null, url: null, message: `schemaVersion must be ${SCHEMA_VERSION}` });
+    }
+
+    const pages = Array.isArray(snapshot?.pages) ? snapshot.pages : [];
+    if (!Array.isArray(snapshot?.pages)) {
+      errors.push({ index: null, url: null, message: 'pages must be an array' });
+    }
+
+    pages.forEach((page, index) => {
+      this.validatePage(page).forEach(message => {
+        errors.push({ index, url: page?.url || null, message });
+      });
+    });
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Load a crawl file of any schema version as current-schema pages
+   * Invalid pages are reported and dropped
+   */
+  async load(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+    const { snapshot, fromVersion } = this.upgrade(JSON.parse(content));
+
+    if (fromVersion < SCHEMA_VERSION) {
+      console.log(`   Upgraded crawl data from schema v${fromVersion} to v${SCHEMA_VERSION}`);
+    }
+
+    const { errors } = this.validate(snapshot);
+    const invalid = new Set(errors.filter(e => e.index !== null).map(e => e.index));
+    if (invalid.size > 0) {
+      console.warn(`⚠️ Skipping ${invalid.size} invalid pages in ${filePath}`);
+      errors.slice(0, 5).forEach(e => console.warn(`   - [${e.index}] ${e.url || 'no url'}: ${e.message}`));
+    }
+
+    return snapshot.pages.filter((_, index) => !invalid.has(index));
+  }
+
+  /**
+   * Upgrade a crawl file on disk (original kept as <file>.bak)
+   */
+  async upgradeFile(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+    const { snapshot, fromVersion } = this.upgrade(JSON.parse(content));
+
+    if (fromVersion === SCHEMA_VERSION) {
+      return { upgraded: false, fromVersion, snapshot };
+    }
+
+    await fs.writeFile(`${filePath}.bak`, content);
+    await fs.writeFile(filePath, JSON.stringify(snapshot, null, 2));
+    return { upgraded: true, fromVersion, snapshot };
+  }
+}
+
+CrawlNormalizer.SCHEMA_VERSION = SCHEMA_VERSION;
+
+// CLI execution
+if (require.main === module) {
+  const [command, ...files] = process.argv.slice(2);
+
+  if (!['validate', 'upgrade'].includes(command) || files.length === 0) {
+    console.log('Usage: node crawl-normalizer.js <validate|upgrade> <crawl.json> [...]');
+    console.log('\nCommands:');
+    console.log('  validate    Check files against the current crawl schema');
+    console.log(`  upgrade     Convert older crawl files to schema v${SCHEMA_VERSION} (keeps <file>.bak)`);
+    process.exit(1);
+  }
+
+  const normalizer = new CrawlNormalizer();
+
+  (async () => {
+    let failed = false;
+
+    for (const file of files) {
+      if (command === 'upgrade') {
+        const { upgraded, fromVersion, snapshot } = await normalizer.upgradeFile(file);
+        console.log(upgraded
+          ? `✅ ${file}: v${fromVersion} → v${SCHEMA_VERSION} (${snapshot.pageCount} pages)`
+          : `⏭️  ${file}: already v${SCHEMA_VERSION}`);
+        continue;
+      }
+
+      const content = JSON.parse(await fs.readFile(file, 'utf8'));
+      const version = normalizer.detectVersion(content);
+      if (version !== SCHEMA_VERSION) {
+        console.log(`❌ ${file}: schema v${version}, run "upgrade" first`);
+        failed = true;
+        continue;
+      }
+
+      const { valid, errors } = normalizer.validate(content);
+      console.log(valid ? `✅ ${file}: valid` : `❌ ${file}: ${errors.length} problems`);
+      errors.slice(0, 20).forEach(e => console.log(`   - [${e.index ?? '-'}] ${e.url || ''} ${e.message}`));
+      failed = failed || !valid;
+    }
+
+    process.exit(failed ? 1 : 0);
+  })().catch(error => {
+    console.error('❌ Failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = CrawlNormalizer;
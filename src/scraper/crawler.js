@@ -1,6 +1,29 @@
 require('dotenv').config();
 const fs = require('fs').promises;
 const path = require('path');
+const CrawlManifest = require('./crawl-manifest');
+const CrawlJobStore = require('./crawl-jobs');
+const ReferenceParser = require('./reference-parser');
+const CrawlQualityChecker = require('./quality-checker');
+const UrlNormalizer = require('./url-normalizer');
+const CrawlNormalizer = require('./crawl-normalizer');
+const RateLimiter = require('../utils/rate-limiter');
+
+/**
+ * Default crawl target (used when no targets file is configured)
+ */
+const DEFAULT_TARGET = {
+  name: 'apps-script',
+  url: 'https://developers.google.com/apps-script/',
+  includePaths: [
+    '/apps-script/reference/.*',
+    '/apps-script/advanced/.*',
+    '/apps-script/guides/.*',
+    '/apps-script/samples/.*'
+  ],
+  excludePaths: ['.*\\?hl=.*', '.*\\?authuser=.*'], // Exclude language/account variants
+  tags: ['apps-script']
+};
 
 /**
  * Firecrawl v2 Crawler for Google Apps Script Documentation
@@ -10,26 +33,90 @@ class FirecrawlCrawler {
   constructor(config = {}) {
     this.apiKey = config.apiKey || process.env.FIRECRAWL_API_KEY;
     this.baseUrl = 'https://api.firecrawl.dev/v2';
+    // data/raw/<prefix>_<ts>.json - each source has its own so manifests only see their own files
+    this.filePrefix = 'crawl';
     this.crawlLimit = config.crawlLimit || parseInt(process.env.CRAWL_LIMIT) || 1500;
     this.maxDepth = config.maxDepth || parseInt(process.env.MAX_DEPTH) || 10;
     this.waitBetweenRequests = config.waitBetweenRequests || parseInt(process.env.WAIT_BETWEEN_REQUESTS) || 1000;
+    this.creditBudget = config.creditBudget || parseInt(process.env.CRAWL_CREDIT_BUDGET) || null;
+    // Firecrawl API budget (unset limits are not enforced)
+    this.rateLimiter = config.rateLimiter || new RateLimiter({
+      name: 'firecrawl',
+      requestsPerMinute: parseInt(process.env.FIRECRAWL_RPM) || null,
+      requestsPerDay: parseInt(process.env.FIRECRAWL_RPD) || null
+    });
+    this.resetCost();
+    this.targets = config.targets || null;
+    this.targetsFile = config.targetsFile || process.env.CRAWL_TARGETS_FILE ||
+      path.join(process.cwd(), 'config', 'crawl-targets.json');
+    this.manifest = new CrawlManifest({ manifestPath: config.manifestPath });
+    this.jobStore = new CrawlJobStore({ jobsPath: config.jobsPath });
+    this.referenceParser = new ReferenceParser();
+    this.qualityChecker = new CrawlQualityChecker(config.quality);
+    this.urlNormalizer = new UrlNormalizer();
+    this.normalizer = new CrawlNormalizer({
+      referenceParser: this.referenceParser,
+      urlNormalizer: this.urlNormalizer
+    });
+  }
+
+  /**
+   * Load crawl targets from the targets file (falls back to the Apps Script docs)
+   */
+  async loadTargets() {
+    if (this.targets) {
+      return this.validateTargets(this.targets);
+    }
+
+    let targets;
+    try {
+      const content = await fs.readFile(this.targetsFile, 'utf8');
+      const parsed = JSON.parse(content);
+      targets = Array.isArray(parsed) ? parsed : parsed.targets;
+      console.log(`🎯 Loaded crawl targets from: ${this.targetsFile}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Invalid crawl targets file ${this.targetsFile}: ${error.message}`);
+      }
+      targets = [DEFAULT_TARGET];
+    }
+
+    this.targets = this.validateTargets(targets.filter(target => target.enabled !== false));
+    return this.targets;
+  }
+
+  /**
+   * Ensure every target has a name and URL
+   */
+  validateTargets(targets) {
+    if (!Array.isArray(targets) || targets.length === 0) {
+      throw new Error('At least one crawl target is required');
+    }
+
+    const names = new Set();
+    targets.forEach((target, index) => {
+      if (!target.name || !target.url) {
+        throw new Error(`Crawl target ${index} is missing required field: name or url`);
+      }
+      if (names.has(target.name)) {
+        throw new Error(`Duplicate crawl target name: ${target.name}`);
+      }
+      names.add(target.name);
+    });
+
+    return targets;
   }
 
   /**
-   * Build crawl configuration for Google Apps Script docs
+   * Build crawl configuration for a target
    */
-  buildCrawlConfig() {
+  buildCrawlConfig(target = DEFAULT_TARGET) {
     return {
-      url: "https://developers.google.com/apps-script/",
+      url: target.url,
       // Crawl-level options at root
-      limit: this.crawlLimit,
-      includePaths: [
-        "/apps-script/reference/.*",
-        "/apps-script/advanced/.*",
-        "/apps-script/guides/.*",
-        "/apps-script/samples/.*"
-      ],
-      excludePaths: [".*\\?hl=.*"], // Exclude language variants
+      limit: target.limit || this.crawlLimit,
+      includePaths: target.includePaths || [],
+      excludePaths: target.excludePaths || [],
 
       // Scraping options wrapped in scrapeOptions
       scrapeOptions: {
@@ -97,9 +184,10 @@ class FirecrawlCrawler {
   /**
    * Initiate crawl with Firecrawl v2
    */
-  async initiateCrawl() {
+  async initiateCrawl(target) {
     const url = `${this.baseUrl}/crawl`;
-    const config = this.buildCrawlConfig();
+    const config = this.buildCrawlConfig(target);
+    await this.rateLimiter.acquire();
 
     try {
       const fetch = (await import('node-fetch')).default;
@@ -148,11 +236,30 @@ class FirecrawlCrawler {
         const status = await this.checkCrawlStatus(crawlId);
 
         // Display progress
+        this.recordCredits(crawlId, status);
         this.displayProgress(status);
 
+        // Stop spending once the credit budget is reached and keep what was scraped
+        if (!['completed', 'cancelled'].includes(status.status) && this.isOverBudget()) {
+          console.log(`\n💸 Credit budget reached (${this.cost.creditsUsed}/${this.creditBudget}) - cancelling crawl`);
+          this.cost.budgetExceeded = true;
+          this.cost.cancelledJobs.push(crawlId);
+          await this.cancelCrawl(crawlId);
+          await this.jobStore.update(crawlId, { status: 'cancelled' });
+          return await this.fetchCrawlResults(crawlId, status);
+        }
+
         if (status.status === 'completed') {
           console.log('\n✅ Crawl completed successfully!');
-          return status.data || await this.retrieveCrawlData(crawlId);
+          await this.jobStore.update(crawlId, { status: 'completed', total: status.total });
+          return await this.fetchCrawlResults(crawlId, status);
+        }
+
+        // Cancelled elsewhere (dashboard, another run) - keep what was scraped
+        if (status.status === 'cancelled') {
+          console.log('\n🛑 Crawl was cancelled - keeping partial results');
+          await this.jobStore.update(crawlId, { status: 'cancelled' });
+          return await this.fetchCrawlResults(crawlId, status);
         }
 
         if (status.status === 'failed') {
@@ -164,6 +271,7 @@ class FirecrawlCrawler {
       } catch (error) {
         if (error.message.includes('429')) {
           // Rate limiting - exponential backoff
+          this.rateLimiter.drain();
           const backoff = Math.min(pollInterval * Math.pow(2, attempts / 10), 30000);
           console.log(`⏳ Rate limited. Waiting ${backoff / 1000}s...`);
           await this.sleep(backoff);
@@ -173,15 +281,96 @@ class FirecrawlCrawler {
       }
     }
 
-    throw new Error('Crawl timeout - exceeded maximum wait time');
+    throw new Error(`Crawl timeout - exceeded maximum wait time (resume with: npm run crawl:resume -- ${crawlId})`);
   }
 
   /**
    * Check crawl status
    */
   async checkCrawlStatus(crawlId) {
-    const url = `${this.baseUrl}/crawl/${crawlId}`;
+    return this.getJson(`${this.baseUrl}/crawl/${crawlId}`, 'Status check failed');
+  }
+
+  /**
+   * Cancel a running crawl job (partial results stay retrievable)
+   */
+  async cancelCrawl(crawlId) {
+    try {
+      const fetch = (await import('node-fetch')).default;
+      const response = await fetch(`${this.baseUrl}/crawl/${crawlId}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`Cancel failed: ${response.status}`);
+      }
+
+      console.log(`🛑 Crawl ${crawlId} cancelled`);
+    } catch (error) {
+      console.error(`⚠️ Failed to cancel crawl ${crawlId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reset credit tracking for a new run
+   */
+  resetCost() {
+    this.cost = {
+      creditsUsed: 0,
+      creditBudget: this.creditBudget,
+      budgetExceeded: false,
+      cancelledJobs: [],
+      byJob: {}
+    };
+  }
+
+  /**
+   * Track credits reported by a status response
+   */
+  recordCredits(crawlId, status) {
+    this.cost.byJob[crawlId] = status.creditsUsed || 0;
+    this.cost.creditsUsed = Object.values(this.cost.byJob).reduce((sum, credits) => sum + credits, 0);
+  }
+
+  /**
+   * Check whether this run has spent its credit budget
+   */
+  isOverBudget() {
+    return !!this.creditBudget && this.cost.creditsUsed >= this.creditBudget;
+  }
+
+  /**
+   * Retrieve every page of a crawl by following the v2 `next` cursor
+   */
+  async fetchCrawlResults(crawlId, firstResponse = null) {
+    let response = firstResponse || await this.checkCrawlStatus(crawlId);
+    const results = [...(response.data || [])];
+    const total = response.total || '?';
+    let requests = 1;
+
+    while (response.next) {
+      response = await this.getJsonWithBackoff(response.next, 'Result page fetch failed');
+      results.push(...(response.data || []));
+      requests++;
+
+      process.stdout.write(`\r📥 Retrieved ${results.length}/${total} pages (${requests} requests)`);
+    }
+
+    if (requests > 1) {
+      console.log('');
+    }
+
+    return results;
+  }
 
+  /**
+   * GET a Firecrawl endpoint and parse the JSON response
+   */
+  async getJson(url, errorPrefix) {
+    await this.rateLimiter.acquire();
     const fetch = (await import('node-fetch')).default;
     const response = await fetch(url, {
       method: 'GET',
@@ -191,12 +380,32 @@ class FirecrawlCrawler {
     });
 
     if (!response.ok) {
-      throw new Error(`Status check failed: ${response.status}`);
+      throw new Error(`${errorPrefix}: ${response.status}`);
     }
 
     return await response.json();
   }
 
+  /**
+   * GET with exponential backoff on rate limiting
+   */
+  async getJsonWithBackoff(url, errorPrefix, maxRetries = 5) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.getJson(url, errorPrefix);
+      } catch (error) {
+        if (!error.message.includes('429') || attempt >= maxRetries) {
+          throw error;
+        }
+
+        this.rateLimiter.drain();
+        const backoff = Math.min(1000 * Math.pow(2, attempt), 30000);
+        console.log(`⏳ Rate limited. Waiting ${backoff / 1000}s...`);
+        await this.sleep(backoff);
+      }
+    }
+  }
+
   /**
    * Display crawl progress
    */
@@ -206,59 +415,58 @@ class FirecrawlCrawler {
     const credits = status.creditsUsed || 0;
     const percentage = total > 0 ? ((completed / total) * 100).toFixed(1) : 0;
 
-    process.stdout.write(`\r📄 Progress: ${completed}/${total} pages (${percentage}%) | Credits: ${credits}`);
+    const budget = this.creditBudget ? ` (run: ${this.cost.creditsUsed}/${this.creditBudget})` : '';
+
+    process.stdout.write(`\r📄 Progress: ${completed}/${total} pages (${percentage}%) | Credits: ${credits}${budget}`);
   }
 
   /**
    * Process crawled data
    */
-  processCrawlData(rawData) {
-    const processed = rawData.map(page => {
-      // Handle v2 response structure where JSON is in formats array
-      let structuredData = {};
-
-      // Check if we have structured data in the new format
-      if (page.formats && Array.isArray(page.formats)) {
-        const jsonFormat = page.formats.find(f => f.type === 'json');
-        if (jsonFormat && jsonFormat.data) {
-          structuredData = jsonFormat.data;
-        }
-      } else if (page.json) {
-        // Fallback to direct json field if it exists
-        structuredData = page.json;
-      } else if (page.extract) {
-        // Another possible location in v2
-        structuredData = page.extract;
-      }
+  processCrawlData(rawData, target = null) {
+    const processed = this.normalizer.normalize(rawData, target);
+
+    return { data: processed, stats: this.calculateStats(processed) };
+  }
 
-      return {
-        url: page.url || page.metadata?.url,
-        title: page.metadata?.title || structuredData.page_title || 'Untitled',
-        markdown: page.markdown || '',
-        structured_data: structuredData,
-        component_type: structuredData.component_type || null,
-        methods: structuredData.methods || [],
-        properties: structuredData.properties || [],
-        scrapeDate: new Date().toISOString(),
-        metadata: page.metadata || {}
-      };
+  /**
+   * Calculate crawl statistics for processed pages
+   */
+  calculateStats(processed) {
+    const targets = {};
+    processed.forEach(p => {
+      if (p.target) targets[p.target] = (targets[p.target] || 0) + 1;
     });
 
-    // Statistics
-    const stats = {
+    return {
       totalPages: processed.length,
       totalMethods: processed.reduce((sum, p) => sum + p.methods.length, 0),
       totalProperties: processed.reduce((sum, p) => sum + p.properties.length, 0),
-      componentTypes: [...new Set(processed.map(p => p.component_type).filter(Boolean))]
+      componentTypes: [...new Set(processed.map(p => p.component_type).filter(Boolean))],
+      targets
     };
+  }
+
+  /**
+   * Compare processed pages against the content hash manifest
+   */
+  async detectChanges(data, options = {}) {
+    await this.manifest.load();
+    const changes = this.manifest.diff(data, options);
+
+    console.log('\n🔍 Change Detection:');
+    console.log(`   - New: ${changes.added.length}`);
+    console.log(`   - Modified: ${changes.modified.length}`);
+    console.log(`   - Unchanged: ${changes.unchanged.length}`);
+    console.log(`   - Removed: ${changes.removed.length}`);
 
-    return { data: processed, stats };
+    return changes;
   }
 
   /**
    * Save crawl results
    */
-  async saveResults(data, stats) {
+  async saveResults(data, stats, quality = null) {
     const timestamp = Date.now();
     const outputDir = path.join(process.cwd(), 'data', 'raw');
 
@@ -266,17 +474,27 @@ class FirecrawlCrawler {
     await fs.mkdir(outputDir, { recursive: true });
 
     // Save processed data
-    const dataPath = path.join(outputDir, `crawl_${timestamp}.json`);
-    await fs.writeFile(dataPath, JSON.stringify(data, null, 2));
+    const dataPath = path.join(outputDir, `${this.filePrefix}_${timestamp}.json`);
+    await fs.writeFile(dataPath, JSON.stringify(this.normalizer.wrap(data), null, 2));
 
     // Save statistics
-    const statsPath = path.join(outputDir, `crawl_stats_${timestamp}.json`);
+    const statsPath = path.join(outputDir, `${this.filePrefix}_stats_${timestamp}.json`);
     await fs.writeFile(statsPath, JSON.stringify(stats, null, 2));
 
+    // Save quality report
+    let qualityPath = null;
+    if (quality) {
+      qualityPath = path.join(outputDir, `${this.filePrefix}_quality_${timestamp}.json`);
+      await fs.writeFile(qualityPath, JSON.stringify(quality, null, 2));
+    }
+
     console.log(`\n💾 Data saved to: ${dataPath}`);
     console.log(`📊 Stats saved to: ${statsPath}`);
+    if (qualityPath) {
+      console.log(`🩺 Quality report saved to: ${qualityPath}`);
+    }
 
-    return { dataPath, statsPath };
+    return { dataPath, statsPath, qualityPath };
   }
 
   /**
@@ -285,42 +503,155 @@ class FirecrawlCrawler {
   async run() {
     console.log('🚀 Starting Google Apps Script Documentation Crawl\n');
     console.log(`   Configuration:`);
-    console.log(`   - Limit: ${this.crawlLimit} pages`);
+    console.log(`   - Default Limit: ${this.crawlLimit} pages per target`);
     console.log(`   - Max Depth: ${this.maxDepth}`);
-    console.log(`   - Wait Between Requests: ${this.waitBetweenRequests}ms\n`);
+    console.log(`   - Wait Between Requests: ${this.waitBetweenRequests}ms`);
+    console.log(`   - Credit Budget: ${this.creditBudget || 'unlimited'}\n`);
 
     const startTime = Date.now();
+    this.resetCost();
 
     try {
-      // Step 1: Initiate crawl
-      const crawlId = await this.initiateCrawl();
+      const targets = await this.loadTargets();
+      const data = [];
+      const crawlIds = [];
+
+      for (const target of targets) {
+        if (this.isOverBudget()) {
+          console.log(`\n⏭️  Credit budget spent - skipping target ${target.name}`);
+          continue;
+        }
 
-      // Step 2: Monitor progress
-      const rawData = await this.monitorCrawl(crawlId);
+        console.log(`\n🎯 Target: ${target.name} (${target.url})`);
 
-      // Step 3: Process data
-      const { data, stats } = this.processCrawlData(rawData);
+        // Step 1: Initiate crawl and persist the job so it can be resumed
+        const crawlId = await this.initiateCrawl(target);
+        await this.jobStore.add(crawlId, target);
 
-      // Step 4: Display statistics
-      console.log('\n\n📊 Crawl Statistics:');
-      console.log(`   - Total Pages: ${stats.totalPages}`);
-      console.log(`   - Total Methods: ${stats.totalMethods}`);
-      console.log(`   - Total Properties: ${stats.totalProperties}`);
-      console.log(`   - Component Types: ${stats.componentTypes.join(', ')}`);
+        // Step 2: Monitor progress and retrieve all result pages
+        const rawData = await this.monitorCrawl(crawlId);
 
-      // Step 5: Save results
-      const { dataPath } = await this.saveResults(data, stats);
+        // Step 3: Process data, tagging pages with their target
+        const { data: targetData } = this.processCrawlData(rawData, target);
+        data.push(...targetData);
+        crawlIds.push(crawlId);
+      }
+
+      // Steps 4-6: Statistics, change detection and save
+      const result = await this.finalizeResults(data);
+      await this.jobStore.remove(crawlIds);
 
       const duration = Math.round((Date.now() - startTime) / 1000);
       console.log(`\n✅ Crawl completed in ${duration} seconds`);
 
-      return { data, stats, dataPath };
+      return result;
     } catch (error) {
       console.error('\n❌ Crawl failed:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Resume an in-flight or completed crawl by job ID
+   * Without an ID, resumes every job recorded in the job store
+   */
+  async resume(crawlId = null) {
+    console.log('🔄 Resuming crawl jobs\n');
+    const startTime = Date.now();
+
+    try {
+      this.resetCost();
+      await this.jobStore.load();
+      const jobs = crawlId
+        ? [this.jobStore.get(crawlId) || { id: crawlId, target: null }]
+        : this.jobStore.list();
+
+      if (jobs.length === 0) {
+        throw new Error('No active crawl jobs to resume. Pass a crawl ID to retrieve a specific job.');
+      }
+
+      const data = [];
+      for (const job of jobs) {
+        console.log(`\n🎯 Job: ${job.id}${job.target ? ` (${job.target.name})` : ''}`);
+
+        const rawData = await this.monitorCrawl(job.id);
+        const { data: jobData } = this.processCrawlData(rawData, job.target);
+        data.push(...jobData);
+      }
+
+      // Only the resumed targets were crawled; pages of other targets aren't removed
+      // (and nothing is when a job's target is unknown)
+      const targets = jobs.every(job => job.target) ? jobs.map(job => job.target.name) : [];
+      const result = await this.finalizeResults(data, { targets });
+      await this.jobStore.remove(jobs.map(job => job.id));
+
+      const duration = Math.round((Date.now() - startTime) / 1000);
+      console.log(`\n✅ Resume completed in ${duration} seconds`);
+
+      return result;
+    } catch (error) {
+      console.error('\n❌ Resume failed:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Display statistics, detect changes and save processed pages
+   * options.targets scopes removal detection to the targets that were crawled
+   */
+  async finalizeResults(crawledData, options = {}) {
+    // Collapse pages that resolve to the same canonical URL
+    const { pages: data, collapsed } = this.urlNormalizer.collapse(crawledData);
+    const stats = this.calculateStats(data);
+    stats.duplicatesCollapsed = collapsed;
+
+    console.log('\n\n📊 Crawl Statistics:');
+    console.log(`   - Total Pages: ${stats.totalPages}`);
+    console.log(`   - Total Methods: ${stats.totalMethods}`);
+    console.log(`   - Total Properties: ${stats.totalProperties}`);
+    console.log(`   - Component Types: ${stats.componentTypes.join(', ')}`);
+    Object.entries(stats.targets).forEach(([name, count]) => {
+      console.log(`   - Target ${name}: ${count} pages`);
+    });
+    console.log(`   - Duplicate URLs Collapsed: ${collapsed}`);
+
+    // Record spend so cost can be tracked across runs
+    stats.cost = { ...this.cost, recordedAt: new Date().toISOString() };
+    console.log(`   - Credits Used: ${this.cost.creditsUsed}${this.creditBudget ? `/${this.creditBudget}` : ''}`);
+    if (this.cost.budgetExceeded) {
+      console.log('   ⚠️ Credit budget reached - results are partial');
+    }
+
+    // Score page quality (severe failures can be excluded from chunking)
+    const quality = this.qualityChecker.check(data);
+    stats.quality = quality.summary;
+
+    console.log('\n🩺 Quality Check:');
+    console.log(`   - OK: ${quality.summary.ok}`);
+    console.log(`   - Warnings: ${quality.summary.warning}`);
+    console.log(`   - Errors: ${quality.summary.error}`);
+    Object.entries(quality.summary.issueCounts).forEach(([code, count]) => {
+      console.log(`   - ${code}: ${count}`);
+    });
+
+    // Detect changes since the last indexed crawl
+    const changes = await this.detectChanges(data, { targets: options.targets });
+    if (this.cost.budgetExceeded) {
+      // A partial crawl can't tell removed pages from pages it never reached
+      changes.removed = [];
+    }
+    stats.changes = {
+      added: changes.added.length,
+      modified: changes.modified.length,
+      unchanged: changes.unchanged.length,
+      removed: changes.removed.length
+    };
+
+    const { dataPath, qualityPath } = await this.saveResults(data, stats, quality);
+
+    return { data, stats, dataPath, qualityPath, changes };
+  }
+
   /**
    * Helper: Sleep function
    */
@@ -331,8 +662,14 @@ class FirecrawlCrawler {
 
 // Run if executed directly
 if (require.main === module) {
+  const [mode, crawlId] = process.argv.slice(2);
   const crawler = new FirecrawlCrawler();
-  crawler.run()
+
+  const runPromise = mode === 'resume'
+    ? crawler.resume(crawlId)
+    : crawler.run();
+
+  runPromise
     .then(() => process.exit(0))
     .catch(() => process.exit(1));
 }
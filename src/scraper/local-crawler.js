@@ -0,0 +1,251 @@
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const { pathToFileURL } = require('url');
+const FirecrawlCrawler = require('./crawler');
+const CrawlManifest = require('./crawl-manifest');
+
+/**
+ * Local filesystem crawler
+ * Walks a directory of Markdown/HTML files and emits the same page records as FirecrawlCrawler
+ */
+class LocalFileCrawler extends FirecrawlCrawler {
+  constructor(config = {}) {
+    super(config);
+    this.rootDir = config.rootDir || process.env.LOCAL_DOCS_DIR;
+    this.sourceBaseUrl = config.sourceBaseUrl || process.env.LOCAL_DOCS_BASE_URL || null;
+    this.extensions = config.extensions || ['.md', '.markdown', '.html', '.htm'];
+    this.ignoreDirs = config.ignoreDirs || ['node_modules', '.git'];
+    this.target = { name: config.targetName || 'local', tags: config.tags || ['local'] };
+
+    // Separate manifest and data files so local runs don't mark crawled web pages as removed
+    this.filePrefix = 'crawl_local';
+    this.manifest = new CrawlManifest({
+      manifestPath: config.manifestPath || path.join(process.cwd(), 'data', 'raw', 'manifest_local.json')
+    });
+
+    if (!this.rootDir) {
+      throw new Error('Local docs directory is required (rootDir or LOCAL_DOCS_DIR)');
+    }
+  }
+
+  /**
+   * Recursively collect supported files
+   */
+  async findFiles(dir = this.rootDir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        if (!this.ignoreDirs.includes(entry.name)) {
+          files.push(...await this.findFiles(fullPath));
+        }
+      } else if (this.extensions.includes(path.extname(entry.name).toLowerCase())) {
+        files.push(fullPath);
+      }
+    }
+
+    return files.sort();
+  }
+
+  /**
+   * Read one file into a Firecrawl-shaped raw page
+   */
+  async readPage(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+    const ext = path.extname(filePath).toLowerCase();
+    const isHtml = ext === '.html' || ext === '.htm';
+
+    const { body, frontMatter } = isHtml
+      ? { body: content, frontMatter: {} }
+      : this.parseFrontMatter(content);
+    const markdown = isHtml ? this.htmlToMarkdown(body) : body.trim();
+    const url = this.buildUrl(filePath);
+    const title = frontMatter.title ||
+      (isHtml ? this.extractHtmlTitle(content) : null) ||
+      this.extractMarkdownTitle(markdown) ||
+      path.basename(filePath, ext);
+
+    return {
+      url,
+      markdown,
+      metadata: {
+        ...frontMatter,
+        title,
+        url,
+        sourceURL: url,
+        sourceFile: path.relative(this.rootDir, filePath),
+        source: 'local'
+      }
+    };
+  }
+
+  /**
+   * Build the page URL (public base URL if configured, file:// otherwise)
+   */
+  buildUrl(filePath) {
+    if (!this.sourceBaseUrl) {
+      return pathToFileURL(path.resolve(filePath)).href;
+    }
+
+    const relative = path.relative(this.rootDir, filePath)
+      .split(path.sep)
+      .join('/')
+      .replace(/\.(md|markdown|html?)$/i, '');
+    return `${this.sourceBaseUrl.replace(/\/$/, '')}/${relative}`;
+  }
+
+  /**
+   * Split simple YAML front matter (key: value pairs) from markdown
+   */
+  parseFrontMatter(content) {
+    const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!match) {
+      return { body: content, frontMatter: {} };
+    }
+
+    const frontMatter = {};
+    match[1].split(/\r?\n/).forEach(line => {
+      const pair = line.match(/^([\w-]+):\s*(.*)$/);
+      if (pair) {
+        frontMatter[pair[1]] = pair[2].replace(/^["']|["']$/g, '');
+      }
+    });
+
+    return { body: content.slice(match[0].length), frontMatter };
+  }
+
+  /**
+   * First level-1 heading of a markdown document
+   */
+  extractMarkdownTitle(markdown) {
+    const match = markdown.match(/^#\s+(.+)$/m);
+    return match ? match[1].trim() : null;
+  }
+
+  /**
+   * <title> (or first <h1>) of an HTML document
+   */
+  extractHtmlTitle(html) {
+    const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) ||
+      html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+    return match ? this.decodeEntities(match[1].replace(/<[^>]+>/g, '')).trim() : null;
+  }
+
+  /**
+   * Lightweight HTML to markdown conversion for documentation pages
+   */
+  htmlToMarkdown(html) {
+    let text = html;
+
+    // Prefer the main content region when present
+    const main = text.match(/<main[^>]*>([\s\S]*?)<\/main>/i) ||
+      text.match(/<article[^>]*>([\s\S]*?)<\/article>/i) ||
+      text.match(/<body[^>]*>([\s\S]*?)<\/body>/i);
+    if (main) text = main[1];
+
+    text = text
+      .replace(/<(script|style|nav|header|footer|noscript)[^>]*>[\s\S]*?<\/\1>/gi, '')
+      .replace(/<!--[\s\S]*?-->/g, '');
+
+    // Code blocks keep their whitespace
+    const codeBlocks = [];
+    text = text.replace(/<pre[^>]*>([\s\S]*?)<\/pre>/gi, (_, code) => {
+      const raw = this.decodeEntities(code.replace(/<[^>]+>/g, ''));
+      codeBlocks.push('```\n' + raw.replace(/\n+$/, '') + '\n```');
+      return `\n\n@@CODEBLOCK${codeBlocks.length - 1}@@\n\n`;
+    });
+
+    text = text
+      .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, inner) =>
+        `\n\n${'#'.repeat(Number(level))} ${inner.replace(/<[^>]+>/g, '').trim()}\n\n`)
+      .replace(/<tr[^>]*>([\s\S]*?)<\/tr>/gi, (_, row) => {
+        const cells = [...row.matchAll(/<t[hd][^>]*>([\s\S]*?)<\/t[hd]>/gi)]
+          .map(cell => cell[1].replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim());
+        return `\n| ${cells.join(' | ')} |`;
+      })
+      .replace(/<code[^>]*>([\s\S]*?)<\/code>/gi, '`$1`')
+      .replace(/<a[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '[$2]($1)')
+      .replace(/<(strong|b)[^>]*>([\s\S]*?)<\/\1>/gi, '**$2**')
+      .replace(/<(em|i)[^>]*>([\s\S]*?)<\/\1>/gi, '*$2*')
+      .replace(/<li[^>]*>/gi, '\n- ')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|ul|ol|table|section)>/gi, '\n\n')
+      .replace(/<[^>]+>/g, '');
+
+    text = this.decodeEntities(text)
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .replace(/@@CODEBLOCK(\d+)@@/g, (_, index) => codeBlocks[Number(index)]);
+
+    return text.trim();
+  }
+
+  /**
+   * Decode the HTML entities common in documentation pages
+   */
+  decodeEntities(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;|&apos;/g, "'")
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Run complete local ingestion
+   */
+  async run() {
+    console.log('🚀 Starting Local Documentation Ingestion\n');
+    console.log(`   Configuration:`);
+    console.log(`   - Directory: ${this.rootDir}`);
+    console.log(`   - Extensions: ${this.extensions.join(', ')}\n`);
+
+    const startTime = Date.now();
+
+    try {
+      // Step 1: Find files
+      const files = await this.findFiles();
+      if (files.length === 0) {
+        throw new Error(`No ${this.extensions.join('/')} files found in ${this.rootDir}`);
+      }
+      console.log(`📄 Found ${files.length} files`);
+
+      // Step 2: Read files into raw pages
+      const rawData = [];
+      for (const file of files.slice(0, this.crawlLimit)) {
+        rawData.push(await this.readPage(file));
+      }
+
+      // Step 3: Process data
+      const { data } = this.processCrawlData(rawData, this.target);
+
+      // Steps 4-6: Statistics, change detection and save
+      const result = await this.finalizeResults(data);
+
+      const duration = Math.round((Date.now() - startTime) / 1000);
+      console.log(`\n✅ Ingestion completed in ${duration} seconds`);
+
+      return result;
+    } catch (error) {
+      console.error('\n❌ Ingestion failed:', error.message);
+      throw error;
+    }
+  }
+}
+
+// Run if executed directly
+if (require.main === module) {
+  const crawler = new LocalFileCrawler({ rootDir: process.argv[2] });
+  crawler.run()
+    .then(() => process.exit(0))
+    .catch(() => process.exit(1));
+}
+
+module.exports = LocalFileCrawler;
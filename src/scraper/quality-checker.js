@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+
+/**
+ * Crawl Quality Checker
+ * Scores processed pages and flags broken, empty or duplicate content
+ */
+class CrawlQualityChecker {
+  constructor(config = {}) {
+    this.minContentLength = config.minContentLength || 200;
+    this.maxLinkRatio = config.maxLinkRatio || 0.6;
+    this.errorPenalty = config.errorPenalty || 50;
+    this.warningPenalty = config.warningPenalty || 15;
+  }
+
+  /**
+   * Score every page and build a report
+   */
+  check(pages) {
+    const seenContent = new Map();
+    const results = pages.map(page => {
+      const issues = this.findIssues(page);
+
+      // Duplicate content (compared on normalized markdown)
+      const fingerprint = this.fingerprint(page.markdown);
+      if (fingerprint) {
+        if (seenContent.has(fingerprint)) {
+          issues.push({
+            code: 'duplicate_content',
+            severity: 'warning',
+            message: `Same content as ${seenContent.get(fingerprint)}`,
+            duplicateOf: seenContent.get(fingerprint)
+          });
+        } else {
+          seenContent.set(fingerprint, page.url);
+        }
+      }
+
+      return this.scoreIssues(page, issues);
+    });
+
+    // Attach a compact quality summary to each page record
+    pages.forEach((page, index) => {
+      page.quality = {
+        score: results[index].score,
+        status: results[index].status,
+        issues: results[index].issues.map(issue => issue.code)
+      };
+    });
+
+    return this.buildReport(results);
+  }
+
+  /**
+   * Per-page checks
+   */
+  findIssues(page) {
+    const issues = [];
+    const markdown = (page.markdown || '').trim();
+    const text = this.plainText(markdown);
+
+    if (!page.url) {
+      issues.push({ code: 'missing_url', severity: 'error', message: 'Page has no URL' });
+    }
+
+    if (!page.title || page.title === 'Untitled') {
+      issues.push({ code: 'untitled', severity: 'warning', message: 'Page has no title' });
+    }
+
+    if (markdown.length === 0) {
+      issues.push({ code: 'empty_content', severity: 'error', message: 'Page has no markdown content' });
+      return issues;
+    }
+
+    if (this.isCookieBanner(text)) {
+      issues.push({ code: 'cookie_banner', severity: 'error', message: 'Content looks like a cookie/consent banner' });
+    } else if (this.isNavigationOnly(markdown)) {
+      issues.push({ code: 'navigation_only', severity: 'error', message: 'Content is mostly navigation links' });
+    } else if (text.length < this.minContentLength && !(page.code_samples || []).length) {
+      issues.push({ code: 'thin_content', severity: 'warning', message: `Only ${text.length} characters of text` });
+    }
+
+    const isReference = (page.url || '').includes('/reference/');
+    const hasStructuredData = (page.methods || []).length > 0 || (page.properties || []).length > 0;
+    if (isReference && !hasStructuredData) {
+      issues.push({
+        code: 'missing_structured_data',
+        severity: 'warning',
+        message: 'Reference page has no methods or properties'
+      });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Short text that is mostly about cookies/consent
+   */
+  isCookieBanner(text) {
+    const words = text.split(/\s+/).filter(Boolean).length;
+    return words < 150 &&
+      /\bcookies?\b/i.test(text) &&
+      /\b(accept|consent|privacy|agree)\b/i.test(text);
+  }
+
+  /**
+   * Markdown where most lines are bare links
+   */
+  isNavigationOnly(markdown) {
+    const lines = markdown.split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.length < 5) return false;
+
+    const linkLines = lines.filter(line =>
+      /^([-*+]\s*)?\[[^\]]*\]\([^)]*\)\s*$/.test(line));
+    return linkLines.length / lines.length > this.maxLinkRatio;
+  }
+
+  /**
+   * Strip markdown syntax down to readable text
+   */
+  plainText(markdown) {
+    return markdown
+      .replace(/```[\s\S]*?```/g, ' code ')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/[#>*_`|-]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Hash of whitespace-normalized markdown
+   */
+  fingerprint(markdown) {
+    const normalized = (markdown || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    if (!normalized) return null;
+    return crypto.createHash('md5').update(normalized).digest('hex');
+  }
+
+  /**
+   * Turn issues into a 0-100 score and status
+   */
+  scoreIssues(page, issues) {
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+    const warnings = issues.length - errors;
+    const score = Math.max(0, 100 - errors * this.errorPenalty - warnings * this.warningPenalty);
+
+    return {
+      url: page.url || null,
+      title: page.title || null,
+      score,
+      status: errors > 0 ? 'error' : (warnings > 0 ? 'warning' : 'ok'),
+      issues
+    };
+  }
+
+  /**
+   * Summary plus the flagged pages
+   */
+  buildReport(results) {
+    const issueCounts = {};
+    results.forEach(result => {
+      result.issues.forEach(issue => {
+        issueCounts[issue.code] = (issueCounts[issue.code] || 0) + 1;
+      });
+    });
+
+    const averageScore = results.length > 0
+      ? results.reduce((sum, r) => sum + r.score, 0) / results.length
+      : 0;
+
+    return {
+      generatedAt: new Date().toISOString(),
+      summary: {
+        totalPages: results.length,
+        ok: results.filter(r => r.status === 'ok').length,
+        warning: results.filter(r => r.status === 'warning').length,
+        error: results.filter(r => r.status === 'error').length,
+        averageScore: Number(averageScore.toFixed(1)),
+        issueCounts
+      },
+      flaggedPages: results
+        .filter(r => r.status !== 'ok')
+        .sort((a, b) => a.score - b.score)
+    };
+  }
+}
+
+module.exports = CrawlQualityChecker;
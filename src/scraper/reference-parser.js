@@ -0,0 +1,334 @@
+/**
+ * Reference Page Parser
+ * Extracts methods and properties from Apps Script reference markdown
+ * without LLM extraction (same shape as FirecrawlCrawler.getStructuredSchema)
+ */
+class ReferenceParser {
+  /**
+   * Check whether a page looks like an Apps Script reference page
+   */
+  isReferencePage(url, markdown) {
+    if (url && url.includes('/reference/')) return true;
+    return /^#\s+(Class|Enum|Interface)\s+\w+/m.test(markdown || '');
+  }
+
+  /**
+   * Parse reference markdown into structured data
+   */
+  parse(markdown) {
+    if (!markdown) {
+      return { methods: [], properties: [] };
+    }
+
+    const title = this.extractTitle(markdown);
+    const description = this.extractDescription(markdown);
+    const summaryMethods = this.extractMethodSummary(markdown);
+    const detailedMethods = this.extractDetailedMethods(markdown);
+    const pageDeprecation = this.detectDeprecation(description);
+
+    return {
+      page_title: title,
+      page_description: description,
+      component_type: this.detectComponentType(title),
+      deprecated: pageDeprecation.deprecated,
+      replacement: pageDeprecation.replacement,
+      properties: this.extractProperties(markdown),
+      methods: this.mergeMethods(summaryMethods, detailedMethods)
+    };
+  }
+
+  /**
+   * Detect "Deprecated. Use X instead." style notes
+   */
+  detectDeprecation(text, forced = false) {
+    const deprecated = forced || /^\W*deprecated\b|\bis deprecated\b|\bhas been deprecated\b/i.test(text || '');
+    if (!deprecated) {
+      return { deprecated: false, replacement: null };
+    }
+
+    const match = (text || '').match(
+      /\b(?:use|replaced (?:by|with)|superseded by|instead of this,? use)\s+([A-Za-z_$][\w$.]*(?:\([^)]*\))?)/i
+    );
+
+    return { deprecated: true, replacement: match ? match[1] : null };
+  }
+
+  /**
+   * Fill empty structured fields with locally parsed data
+   * Non-empty LLM/extract fields always win
+   */
+  enrich(structuredData, markdown) {
+    const parsed = this.parse(markdown);
+    const merged = { ...structuredData };
+
+    ['page_title', 'page_description', 'component_type', 'deprecated', 'replacement'].forEach(field => {
+      if (!merged[field] && parsed[field]) merged[field] = parsed[field];
+    });
+
+    ['methods', 'properties'].forEach(field => {
+      if ((!merged[field] || merged[field].length === 0) && parsed[field].length > 0) {
+        merged[field] = parsed[field];
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * Page title from the level-1 heading
+   */
+  extractTitle(markdown) {
+    const match = markdown.match(/^#\s+(.+)$/m);
+    return match ? this.cleanText(match[1]) : null;
+  }
+
+  /**
+   * First paragraph after the title
+   */
+  extractDescription(markdown) {
+    const match = markdown.match(/^#\s+.+$\n+([\s\S]*?)(?=\n\s*\n|\n#|$)/m);
+    if (!match) return null;
+
+    const text = this.cleanText(match[1]);
+    return text && !text.startsWith('|') ? text : null;
+  }
+
+  /**
+   * Class / Enum / Interface / Service from the title
+   */
+  detectComponentType(title) {
+    if (!title) return null;
+
+    const prefix = title.match(/^(Class|Enum|Interface)\b/i);
+    if (prefix) {
+      return prefix[1].charAt(0).toUpperCase() + prefix[1].slice(1).toLowerCase();
+    }
+
+    return /\bService\b/i.test(title) ? 'Service' : null;
+  }
+
+  /**
+   * Rows from "Method | Return type | Brief description" summary tables
+   */
+  extractMethodSummary(markdown) {
+    const methods = [];
+
+    this.extractTables(markdown).forEach(table => {
+      const header = table.header.map(h => h.toLowerCase());
+      if (header[0] !== 'method') return;
+
+      const returnIndex = header.findIndex(h => h.includes('return'));
+      const descriptionIndex = header.findIndex(h => h.includes('description'));
+
+      const inDeprecatedTable = /deprecated/i.test(table.heading || '');
+
+      table.rows.forEach(row => {
+        const signature = this.cleanText(row[0]);
+        if (!signature || !signature.includes('(')) return;
+
+        const description = descriptionIndex >= 0 ? this.cleanText(row[descriptionIndex]) : '';
+        methods.push({
+          signature,
+          description,
+          parameters: [],
+          return_type: returnIndex >= 0 ? this.cleanText(row[returnIndex]) : null,
+          code_example: null,
+          ...this.detectDeprecation(description, inDeprecatedTable)
+        });
+      });
+    });
+
+    return methods;
+  }
+
+  /**
+   * Rows from "Property | Type | Description" tables
+   */
+  extractProperties(markdown) {
+    const properties = [];
+
+    this.extractTables(markdown).forEach(table => {
+      const header = table.header.map(h => h.toLowerCase());
+      if (header[0] !== 'property') return;
+
+      const typeIndex = header.findIndex(h => h === 'type');
+      const descriptionIndex = header.findIndex(h => h.includes('description'));
+
+      table.rows.forEach(row => {
+        const name = this.cleanText(row[0]);
+        if (!name) return;
+
+        properties.push({
+          property_name: name,
+          type: typeIndex >= 0 ? this.cleanText(row[typeIndex]) : null,
+          description: descriptionIndex >= 0 ? this.cleanText(row[descriptionIndex]) : ''
+        });
+      });
+    });
+
+    return properties;
+  }
+
+  /**
+   * Method sections under "Detailed documentation"
+   */
+  extractDetailedMethods(markdown) {
+    const start = markdown.search(/^#{2,3}\s+Detailed documentation\s*$/mi);
+    if (start === -1) return [];
+
+    const detailed = markdown.slice(start).replace(/^.*\n/, '');
+    const methods = [];
+
+    // Top-level blocks: detailed docs, then an optional "## Deprecated methods" block
+    detailed.split(/^(?=##\s)/m).forEach(block => {
+      const inDeprecatedBlock = /^##\s+Deprecated/i.test(block);
+
+      block.split(/^(?=###\s+)/m).forEach(section => {
+        const heading = section.match(/^###\s+(.+)$/m);
+        if (!heading) return;
+
+        const signature = this.cleanText(heading[1]);
+        if (!signature.includes('(')) return;
+
+        const body = section.slice(heading.index + heading[0].length);
+        const description = this.extractSectionDescription(body);
+        methods.push({
+          signature,
+          description,
+          parameters: this.extractParameters(body),
+          return_type: this.extractReturnType(body),
+          code_example: this.extractCodeExample(body),
+          ...this.detectDeprecation(description, inDeprecatedBlock)
+        });
+      });
+    });
+
+    return methods;
+  }
+
+  /**
+   * Prose before the first sub-heading or code block
+   */
+  extractSectionDescription(body) {
+    const intro = body.split(/^(?:####|```)/m)[0];
+    return intro
+      .split(/\n\s*\n/)
+      .map(paragraph => this.cleanText(paragraph))
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  /**
+   * Rows from the "#### Parameters" table
+   */
+  extractParameters(body) {
+    const match = body.match(/^####\s+Parameters\s*$([\s\S]*?)(?=^####|$(?![\s\S]))/m);
+    if (!match) return [];
+
+    const table = this.extractTables(match[1])[0];
+    if (!table) return [];
+
+    return table.rows.map(row => ({
+      param_name: this.cleanText(row[0]),
+      type: this.cleanText(row[1] || ''),
+      description: this.cleanText(row[2] || '')
+    }));
+  }
+
+  /**
+   * Type from the "#### Return" line ("Range — description")
+   */
+  extractReturnType(body) {
+    const match = body.match(/^####\s+Return\s*$\n+(.+)$/m);
+    if (!match) return null;
+
+    const line = this.cleanText(match[1]);
+    return line.split(/\s+[—–-]\s+/)[0].trim() || null;
+  }
+
+  /**
+   * First fenced code block in the section
+   */
+  extractCodeExample(body) {
+    const match = body.match(/^```[\w-]*\n([\s\S]*?)^```/m);
+    return match ? match[1].replace(/\n+$/, '') : null;
+  }
+
+  /**
+   * Parse markdown pipe tables into header + rows
+   */
+  extractTables(markdown) {
+    const tables = [];
+    const lines = markdown.split('\n');
+    let heading = null;
+
+    for (let i = 0; i < lines.length - 1; i++) {
+      const headingMatch = lines[i].match(/^#{1,6}\s+(.+)$/);
+      if (headingMatch) heading = this.cleanText(headingMatch[1]);
+
+      const isHeader = lines[i].trim().startsWith('|');
+      const isDivider = /^\s*\|?\s*:?-{3,}/.test(lines[i + 1]);
+      if (!isHeader || !isDivider) continue;
+
+      const table = { heading, header: this.splitRow(lines[i]).map(cell => this.cleanText(cell)), rows: [] };
+      let j = i + 2;
+      while (j < lines.length && lines[j].trim().startsWith('|')) {
+        table.rows.push(this.splitRow(lines[j]));
+        j++;
+      }
+
+      tables.push(table);
+      i = j - 1;
+    }
+
+    return tables;
+  }
+
+  /**
+   * Split a table row on unescaped pipes
+   */
+  splitRow(line) {
+    return line
+      .trim()
+      .replace(/^\||\|$/g, '')
+      .split(/(?<!\\)\|/)
+      .map(cell => cell.replace(/\\\|/g, '|').trim());
+  }
+
+  /**
+   * Strip links, code ticks and emphasis from a markdown fragment
+   */
+  cleanText(text) {
+    return (text || '')
+      .replace(/\[([^\]]*)\]\((?:[^()]|\([^()]*\))*\)/g, '$1')
+      .replace(/<br\s*\/?>/gi, ' ')
+      .replace(/`/g, '')
+      .replace(/\*\*?|__/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Combine summary rows with detailed sections (detailed wins)
+   */
+  mergeMethods(summaryMethods, detailedMethods) {
+    const bySignature = new Map();
+
+    summaryMethods.forEach(method => bySignature.set(method.signature, method));
+    detailedMethods.forEach(method => {
+      const summary = bySignature.get(method.signature) || {};
+      bySignature.set(method.signature, {
+        ...summary,
+        ...method,
+        description: method.description || summary.description || '',
+        return_type: method.return_type || summary.return_type || null,
+        deprecated: !!(method.deprecated || summary.deprecated),
+        replacement: method.replacement || summary.replacement || null
+      });
+    });
+
+    return [...bySignature.values()];
+  }
+}
+
+module.exports = ReferenceParser;
@@ -0,0 +1,125 @@
+/**
+ * URL Normalizer
+ * Canonicalizes page URLs and collapses duplicate pages before chunking
+ */
+class UrlNormalizer {
+  constructor(config = {}) {
+    // Query params that never change page content
+    this.ignoredParams = config.ignoredParams || [
+      'hl', 'authuser', 'utm_source', 'utm_medium', 'utm_campaign',
+      'utm_term', 'utm_content', 'gclid', 'fbclid', '_gl'
+    ];
+  }
+
+  /**
+   * Normalize a URL: drop fragment, noise params and trailing slash
+   */
+  normalize(url) {
+    if (!url) return url;
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return url;
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return parsed.href;
+    }
+
+    parsed.hash = '';
+    parsed.hostname = parsed.hostname.toLowerCase();
+
+    this.ignoredParams.forEach(param => parsed.searchParams.delete(param));
+    [...parsed.searchParams.keys()]
+      .filter(key => key.startsWith('utm_'))
+      .forEach(key => parsed.searchParams.delete(key));
+    parsed.searchParams.sort();
+
+    parsed.pathname = parsed.pathname
+      .replace(/\/{2,}/g, '/')
+      .replace(/\/index\.html?$/i, '/');
+    if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+      parsed.pathname = parsed.pathname.slice(0, -1);
+    }
+
+    return parsed.href;
+  }
+
+  /**
+   * Canonical URL for a raw page: canonical link metadata (same host),
+   * then the final URL after redirects, then the requested URL
+   */
+  canonicalUrl(page) {
+    const metadata = page.metadata || {};
+    const resolved = page.url || metadata.url || metadata.sourceURL;
+    const canonical = metadata.canonical || metadata.canonicalUrl || metadata.ogUrl;
+
+    if (canonical && this.sameHost(canonical, resolved)) {
+      return this.normalize(canonical);
+    }
+
+    return this.normalize(resolved);
+  }
+
+  /**
+   * Compare hostnames (relative canonical links are not trusted)
+   */
+  sameHost(a, b) {
+    try {
+      return new URL(a).hostname.toLowerCase() === new URL(b).hostname.toLowerCase();
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Collapse processed pages that share a canonical URL
+   * Keeps the richest copy and records the others as aliases
+   */
+  collapse(pages) {
+    const byUrl = new Map();
+    const withoutUrl = [];
+    let collapsed = 0;
+
+    pages.forEach(page => {
+      if (!page.url) {
+        withoutUrl.push(page);
+        return;
+      }
+
+      const existing = byUrl.get(page.url);
+      if (!existing) {
+        byUrl.set(page.url, page);
+        return;
+      }
+
+      collapsed++;
+      const [keep, drop] = this.richness(page) > this.richness(existing)
+        ? [page, existing]
+        : [existing, page];
+
+      const aliases = new Set([
+        ...(keep.metadata?.aliases || []),
+        ...(drop.metadata?.aliases || []),
+        drop.metadata?.sourceURL
+      ].filter(alias => alias && alias !== keep.url));
+
+      keep.metadata = { ...keep.metadata, aliases: [...aliases] };
+      byUrl.set(page.url, keep);
+    });
+
+    return { pages: [...byUrl.values(), ...withoutUrl], collapsed };
+  }
+
+  /**
+   * Prefer the copy with the most structured data and content
+   */
+  richness(page) {
+    return ((page.methods || []).length + (page.properties || []).length) * 1000 +
+      (page.markdown || '').length;
+  }
+}
+
+module.exports = UrlNormalizer;
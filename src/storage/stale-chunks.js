@@ -0,0 +1,89 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Stale Chunk Store
+ * Chunk ids whose rows no longer match the crawl (changed or removed content,
+ * dropped pages), each with the chunk ids that replace it. The upload step
+ * deletes a stale row only once all of its replacements have been uploaded,
+ * so uploading an older or partial embeddings file never leaves a gap.
+ */
+class StaleChunkStore {
+  constructor(config = {}) {
+    this.stalePath = config.stalePath || process.env.STALE_CHUNKS_PATH ||
+      path.join(process.cwd(), 'data', 'processed', 'stale_chunks.json');
+    this.entries = {};
+  }
+
+  /**
+   * Load queued entries from disk (empty store if none exists yet)
+   */
+  async load() {
+    try {
+      const content = await fs.readFile(this.stalePath, 'utf8');
+      this.entries = JSON.parse(content).chunks || {};
+    } catch {
+      this.entries = {};
+    }
+
+    return this;
+  }
+
+  /**
+   * Save queued entries to disk
+   */
+  async save() {
+    await fs.mkdir(path.dirname(this.stalePath), { recursive: true });
+    await fs.writeFile(this.stalePath, JSON.stringify({
+      updatedAt: new Date().toISOString(),
+      chunks: this.entries
+    }, null, 2));
+  }
+
+  /**
+   * Queue stale ids ({ id, replacedBy: [chunk ids] }; no replacements for dropped pages)
+   */
+  add(stale) {
+    const replacements = new Map(stale.map(({ id, replacedBy = [] }) => [id, replacedBy]));
+
+    // A replacement that went stale itself is superseded by its own replacements
+    Object.values(this.entries).forEach(entry => {
+      entry.replacedBy = [...new Set(entry.replacedBy.flatMap(id => replacements.get(id) || [id]))];
+    });
+
+    replacements.forEach((replacedBy, id) => {
+      const previous = this.entries[id]?.replacedBy || [];
+      this.entries[id] = {
+        replacedBy: [...new Set([...previous, ...replacedBy])],
+        queuedAt: new Date().toISOString()
+      };
+    });
+  }
+
+  /**
+   * Drop ids that were deleted, or that the crawl produces again
+   */
+  remove(ids) {
+    ids.forEach(id => delete this.entries[id]);
+  }
+
+  /**
+   * Ids safe to delete after uploading uploadedIds: not uploaded themselves,
+   * and every replacement is in the upload
+   */
+  deletable(uploadedIds) {
+    const uploaded = new Set(uploadedIds);
+    return Object.entries(this.entries)
+      .filter(([id, entry]) => !uploaded.has(id) && entry.replacedBy.every(replacement => uploaded.has(replacement)))
+      .map(([id]) => id);
+  }
+
+  /**
+   * Queued ids
+   */
+  list() {
+    return Object.keys(this.entries);
+  }
+}
+
+module.exports = StaleChunkStore;
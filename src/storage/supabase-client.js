@@ -1,5 +1,7 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const { createClient } = require('@supabase/supabase-js');
+const RateLimiter = require('../utils/rate-limiter');
 
 /**
  * Custom error class for vector operations
@@ -40,7 +42,9 @@ class SupabaseVectorClient {
       batchSize: options.batchSize || 50,
       cacheEnabled: options.cacheEnabled !== false,
       cacheTTL: options.cacheTTL || 300000, // 5 minutes
-      similarityThreshold: options.similarityThreshold || 0.8
+      similarityThreshold: options.similarityThreshold || 0.8,
+      // Score added to page_summary chunks for broad questions (hybridSearch)
+      summaryBoost: options.summaryBoost !== undefined ? options.summaryBoost : 0.05
     };
 
     // Circuit breaker state
@@ -52,6 +56,13 @@ class SupabaseVectorClient {
       timeout: options.circuitBreakerTimeout || 60000 // 1 minute
     };
 
+    // Request budget shared across operations (unset limits are not enforced)
+    this.rateLimiter = options.rateLimiter || new RateLimiter({
+      name: 'supabase',
+      requestsPerMinute: parseInt(process.env.SUPABASE_RPM) || null,
+      requestsPerDay: parseInt(process.env.SUPABASE_RPD) || null
+    });
+
     // Cache for query results (if enabled)
     this.cache = this.config.cacheEnabled ? new Map() : null;
 
@@ -161,6 +172,35 @@ class SupabaseVectorClient {
     }
   }
 
+  /**
+   * Delete chunks by document_id (stable chunk ids from the chunker)
+   */
+  async deleteDocuments(documentIds) {
+    const operation = 'deleteDocuments';
+
+    try {
+      this.checkCircuitBreaker(operation);
+
+      const idArray = Array.isArray(documentIds) ? documentIds : [documentIds];
+      if (idArray.length === 0) return [];
+
+      const { data, error } = await this.withRetry(async () =>
+        this.client
+          .from('document_chunks')
+          .delete()
+          .in('document_id', idArray)
+          .select('document_id')
+      );
+
+      if (error) throw error;
+      return data;
+
+    } catch (error) {
+      this.stats.errors++;
+      throw this.handleError(error, operation);
+    }
+  }
+
   /**
    * Similarity search with vector embedding
    */
@@ -176,29 +216,32 @@ class SupabaseVectorClient {
         throw new Error('Invalid query embedding');
       }
 
+      // Default options
+      const searchOptions = {
+        matchThreshold: options.matchThreshold || this.config.similarityThreshold,
+        matchCount: options.matchCount || 10,
+        filter: options.filter || {}
+      };
+      // Everything that changes the result set is part of the cache key
+      const cacheOptions = { ...searchOptions, ...this.deprecationParams(options) };
+
       // Check cache if enabled
       if (this.config.cacheEnabled) {
-        const cached = await this.getCachedResult(queryEmbedding);
+        const cached = await this.getCachedResult(queryEmbedding, cacheOptions);
         if (cached) {
           this.stats.cacheHits++;
-          return cached;
+          return this.boostSummaries(cached, options.query, options);
         }
         this.stats.cacheMisses++;
       }
 
-      // Default options
-      const searchOptions = {
-        matchThreshold: options.matchThreshold || this.config.similarityThreshold,
-        matchCount: options.matchCount || 10,
-        filter: options.filter || {}
-      };
-
       // Execute search
       const { data, error } = await this.withRetry(async () =>
         this.client.rpc('match_documents', {
           query_embedding: queryEmbedding,
           match_threshold: searchOptions.matchThreshold,
-          match_count: searchOptions.matchCount
+          match_count: searchOptions.matchCount,
+          ...this.deprecationParams(options)
         })
       );
 
@@ -212,14 +255,14 @@ class SupabaseVectorClient {
 
       // Cache results if enabled
       if (this.config.cacheEnabled) {
-        this.setCachedResult(queryEmbedding, results);
+        this.setCachedResult(queryEmbedding, results, cacheOptions);
       }
 
       // Update stats
       this.stats.queries++;
       this.stats.totalLatency += Date.now() - startTime;
 
-      return results;
+      return this.boostSummaries(results, options.query, options);
 
     } catch (error) {
       this.stats.errors++;
@@ -254,14 +297,16 @@ class SupabaseVectorClient {
           match_threshold: searchOptions.matchThreshold,
           match_count: searchOptions.matchCount,
           vector_weight: searchOptions.vectorWeight,
-          text_weight: searchOptions.textWeight
+          text_weight: searchOptions.textWeight,
+          ...this.deprecationParams(options)
         })
       );
 
       if (error) throw error;
 
       this.stats.queries++;
-      return data || [];
+
+      return this.boostSummaries(data || [], query, options);
 
     } catch (error) {
       this.stats.errors++;
@@ -269,6 +314,57 @@ class SupabaseVectorClient {
     }
   }
 
+  /**
+   * Broad questions ("what is CardService for?") favour page overviews
+   * (options.broadQuery overrides the guess from the query text; without text nothing is boosted)
+   */
+  boostSummaries(results, query, options = {}) {
+    const broad = options.broadQuery !== undefined ? options.broadQuery : Boolean(query) && this.isBroadQuery(query);
+    const boost = options.summaryBoost !== undefined ? options.summaryBoost : this.config.summaryBoost;
+    return broad ? this.preferSummaries(results, boost) : results;
+  }
+
+  /**
+   * Add boost to the score of page_summary chunks and re-sort
+   */
+  preferSummaries(results, boost) {
+    if (!boost) return results;
+
+    const score = result => result.combined_score !== undefined ? 'combined_score' : 'similarity';
+    return results
+      .map(result => result.metadata?.chunk_type === 'page_summary'
+        ? { ...result, [score(result)]: result[score(result)] + boost }
+        : result)
+      .sort((a, b) => b[score(b)] - a[score(a)]);
+  }
+
+  /**
+   * Overview-style question rather than one about a specific method
+   */
+  isBroadQuery(query) {
+    const text = (query || '').trim();
+    // Method calls or camelCase identifiers point at a specific API
+    if (/\w\(|\.\w+|\b[a-z]+[A-Z]\w*/.test(text)) return false;
+
+    return /\b(overview|introduction|purpose|used for|what (is|are)|what does|what can|explain|about)\b/i.test(text) ||
+      text.split(/\s+/).length <= 3;
+  }
+
+  /**
+   * Deprecation RPC params, only sent when requested so databases
+   * without sql/upgrade-deprecation.sql keep working
+   */
+  deprecationParams(options) {
+    const params = {};
+    if (options.excludeDeprecated !== undefined) {
+      params.exclude_deprecated = !!options.excludeDeprecated;
+    }
+    if (options.deprecatedPenalty !== undefined) {
+      params.deprecated_penalty = options.deprecatedPenalty;
+    }
+    return params;
+  }
+
   /**
    * Search by document ID
    */
@@ -283,11 +379,40 @@ class SupabaseVectorClient {
           .from('document_chunks')
           .select('*')
           .eq('document_id', documentId)
-          .order('chunk_index', { ascending: true })
       );
 
       if (error) throw error;
-      return data;
+      // chunk_index is always 0 for stable ids; metadata holds the position
+      return (data || []).sort((a, b) => this.readingOrder(a) - this.readingOrder(b));
+
+    } catch (error) {
+      this.stats.errors++;
+      throw this.handleError(error, operation);
+    }
+  }
+
+  /**
+   * Chunks sharing a hierarchy id (section_id, parent_id or page_id) in reading order
+   */
+  async getRelatedChunks(field, value) {
+    const operation = 'getRelatedChunks';
+
+    if (!['section_id', 'parent_id', 'page_id'].includes(field)) {
+      throw new Error(`Unsupported hierarchy field: ${field}`);
+    }
+
+    try {
+      this.checkCircuitBreaker(operation);
+
+      const { data, error } = await this.withRetry(async () =>
+        this.client
+          .from('document_chunks')
+          .select('id, chunk_content, document_title, document_url, metadata')
+          .eq(`metadata->>${field}`, value)
+      );
+
+      if (error) throw error;
+      return (data || []).sort((a, b) => this.readingOrder(a) - this.readingOrder(b));
 
     } catch (error) {
       this.stats.errors++;
@@ -295,6 +420,68 @@ class SupabaseVectorClient {
     }
   }
 
+  /**
+   * Expand search hits with their surrounding content
+   * mode 'section' attaches the whole parent section, 'siblings' the neighbouring
+   * pieces (options.window on each side) of a split section
+   */
+  async expandResults(results, options = {}) {
+    const mode = options.mode || 'section';
+    const window = options.window || 1;
+    const sections = new Map();
+
+    for (const result of results) {
+      const sectionId = result.metadata?.section_id;
+      if (!sectionId) continue;
+
+      if (!sections.has(sectionId)) {
+        sections.set(sectionId, await this.getRelatedChunks('section_id', sectionId));
+      }
+
+      let related = sections.get(sectionId);
+      if (mode === 'siblings') {
+        const position = related.findIndex(chunk => chunk.id === result.id);
+        related = position === -1
+          ? related
+          : related.slice(Math.max(0, position - window), position + window + 1);
+      }
+
+      result.expanded_content = this.joinChunks(related);
+      result.expanded_chunk_ids = related.map(chunk => chunk.id);
+    }
+
+    return results;
+  }
+
+  /**
+   * Sort key in page reading order (sub-chunk/part order for rows indexed
+   * before page_position was recorded)
+   */
+  readingOrder(chunk) {
+    const metadata = chunk.metadata || {};
+    if (metadata.page_position !== undefined) return metadata.page_position;
+    return (metadata.sub_index || 0) * 1000 + (metadata.part_index || 0);
+  }
+
+  /**
+   * Join section pieces, keeping the shared context header only once
+   */
+  joinChunks(chunks) {
+    if (chunks.length === 0) return '';
+
+    const titleLine = chunks[0].chunk_content.split('\n')[0];
+
+    return chunks
+      .map((chunk, index) => {
+        const content = chunk.chunk_content;
+        const headerEnd = content.indexOf('\n\n');
+        return index > 0 && content.startsWith(`${titleLine}\n`) && headerEnd !== -1
+          ? content.slice(headerEnd + 2)
+          : content;
+      })
+      .join('\n\n');
+  }
+
   /**
    * Get database statistics
    */
@@ -386,6 +573,8 @@ class SupabaseVectorClient {
     let delay = this.config.retryDelay;
 
     for (let attempt = 1; attempt <= this.config.retryAttempts; attempt++) {
+      await this.rateLimiter.acquire();
+
       try {
         const result = await operation();
 
@@ -537,10 +726,10 @@ class SupabaseVectorClient {
   /**
    * Get cached result
    */
-  async getCachedResult(queryEmbedding) {
+  async getCachedResult(queryEmbedding, options = {}) {
     if (!this.cache) return null;
 
-    const cacheKey = this.generateCacheKey(queryEmbedding);
+    const cacheKey = this.generateCacheKey(queryEmbedding, options);
     const cached = this.cache.get(cacheKey);
 
     if (cached && Date.now() - cached.timestamp < this.config.cacheTTL) {
@@ -558,10 +747,10 @@ class SupabaseVectorClient {
   /**
    * Set cached result
    */
-  setCachedResult(queryEmbedding, results) {
+  setCachedResult(queryEmbedding, results, options = {}) {
     if (!this.cache) return;
 
-    const cacheKey = this.generateCacheKey(queryEmbedding);
+    const cacheKey = this.generateCacheKey(queryEmbedding, options);
     this.cache.set(cacheKey, {
       data: results,
       timestamp: Date.now()
@@ -575,13 +764,14 @@ class SupabaseVectorClient {
   }
 
   /**
-   * Generate cache key from embedding
+   * Generate cache key from the whole embedding and the search options
    */
-  generateCacheKey(embedding) {
-    // Use first and last few values as a simple hash
-    const prefix = embedding.slice(0, 5).join(',');
-    const suffix = embedding.slice(-5).join(',');
-    return `${prefix}_${suffix}`;
+  generateCacheKey(embedding, options = {}) {
+    return crypto
+      .createHash('sha256')
+      .update(Buffer.from(Float64Array.from(embedding).buffer))
+      .update(JSON.stringify(options))
+      .digest('hex');
   }
 
   /**
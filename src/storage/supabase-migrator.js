@@ -4,6 +4,8 @@ require('dotenv').config();
 const fs = require('fs').promises;
 const path = require('path');
 const { createClient } = require('@supabase/supabase-js');
+const Tokenizer = require('../utils/tokenizer');
+const StaleChunkStore = require('./stale-chunks');
 
 /**
  * Supabase Vector Database Migrator
@@ -20,6 +22,10 @@ class SupabaseMigrator {
     this.retryAttempts = options.retryAttempts || 3;
     this.retryDelay = options.retryDelay || 2000;
     this.checkpointFile = options.checkpointFile || '.migration_checkpoint.json';
+    this.tokenizer = options.tokenizer || new Tokenizer();
+    // Rows of chunks the pipeline replaced or dropped are deleted after the upload
+    this.keepStale = options.keepStale || false;
+    this.staleChunks = new StaleChunkStore({ stalePath: options.stalePath });
 
     // Track migration statistics
     this.stats = {
@@ -27,6 +33,7 @@ class SupabaseMigrator {
       successful: 0,
       failed: 0,
       skipped: 0,
+      deleted: 0,
       errors: []
     };
   }
@@ -56,12 +63,17 @@ class SupabaseMigrator {
 
       if (startIndex > 0) {
         console.log(`♻️ Resuming from checkpoint (chunk ${startIndex}/${chunks.length})`);
-        this.stats = checkpoint.stats || this.stats;
+        this.stats = { ...this.stats, ...checkpoint.stats };
       }
 
       // Process chunks in batches
       await this.processBatches(chunks, startIndex);
 
+      // Drop stale rows whose replacements are all in this (fully uploaded) file
+      if (!this.keepStale && this.stats.failed === 0 && this.stats.skipped === 0) {
+        await this.deleteStaleChunks(chunks);
+      }
+
       // Clean up checkpoint on success
       if (this.stats.successful === this.stats.total) {
         await this.deleteCheckpoint();
@@ -246,6 +258,8 @@ class SupabaseMigrator {
       has_code: chunk.has_code || metadata.has_code || false,
       has_example: chunk.has_example || metadata.has_example || false,
       method_signature: chunk.method_signature || metadata.method_signature,
+      deprecated: chunk.deprecated || metadata.deprecated || false,
+      replacement: chunk.replacement || metadata.replacement || null,
       embedding_model: chunk.embedding_model || 'gemini-embedding-001',
       embedding_dimensions: chunk.embedding_dimensions || 768,
       vector_norm: chunk.vector_norm || null,
@@ -266,12 +280,10 @@ class SupabaseMigrator {
   }
 
   /**
-   * Estimate token count
+   * Token count (shared tokenizer, same as the chunker)
    */
   estimateTokens(text) {
-    if (!text) return 0;
-    // Rough estimate: 1 token per 4 characters
-    return Math.ceil(text.length / 4);
+    return this.tokenizer.count(text);
   }
 
   /**
@@ -319,6 +331,36 @@ class SupabaseMigrator {
     };
   }
 
+  /**
+   * Delete rows of queued stale chunk ids whose replacements were uploaded
+   */
+  async deleteStaleChunks(chunks) {
+    await this.staleChunks.load();
+    const staleIds = this.staleChunks.deletable(chunks.map(chunk => chunk.id || chunk.chunk_id));
+
+    if (staleIds.length === 0) return;
+    console.log(`\n🗑️ Deleting ${staleIds.length} stale chunks`);
+
+    for (let i = 0; i < staleIds.length; i += this.batchSize) {
+      const batch = staleIds.slice(i, i + this.batchSize);
+      const { error } = await this.supabase
+        .from('document_chunks')
+        .delete()
+        .in('document_id', batch);
+
+      if (error) {
+        this.stats.errors.push({ batch: 'stale', error: error.message });
+        console.error(`❌ Deleting stale chunks failed: ${error.message}`);
+        break;
+      }
+
+      this.stats.deleted += batch.length;
+      this.staleChunks.remove(batch);
+    }
+
+    await this.staleChunks.save();
+  }
+
   /**
    * Load checkpoint from file
    */
@@ -370,6 +412,7 @@ class SupabaseMigrator {
     console.log(`Successful:       ${this.stats.successful} (${(this.stats.successful/this.stats.total*100).toFixed(1)}%)`);
     console.log(`Failed:           ${this.stats.failed}`);
     console.log(`Skipped:          ${this.stats.skipped}`);
+    console.log(`Stale deleted:    ${this.stats.deleted}`);
 
     if (this.stats.errors.length > 0) {
       console.log('\n⚠️ Errors encountered:');
@@ -429,6 +472,7 @@ if (require.main === module) {
     console.log('\nOptions:');
     console.log('  --batch-size <number>    Batch size for uploads (default: 50)');
     console.log('  --verify                 Verify migration after completion');
+    console.log('  --keep-stale             Keep rows of replaced or removed chunks');
     console.log('\nExample:');
     console.log('  node supabase-migrator.js ./data/processed/embeddings_*.json --batch-size 25 --verify');
     process.exit(1);
@@ -440,6 +484,7 @@ if (require.main === module) {
     ? parseInt(args[args.indexOf('--batch-size') + 1])
     : 50;
   const shouldVerify = args.includes('--verify');
+  const keepStale = args.includes('--keep-stale');
 
   // Check environment variables
   const supabaseUrl = process.env.SUPABASE_URL;
@@ -451,7 +496,7 @@ if (require.main === module) {
   }
 
   // Run migration
-  const migrator = new SupabaseMigrator(supabaseUrl, supabaseKey, { batchSize });
+  const migrator = new SupabaseMigrator(supabaseUrl, supabaseKey, { batchSize, keepStale });
 
   migrator.migrate(jsonFile)
     .then(async (stats) => {
@@ -1,4 +1,9 @@
 const crypto = require('crypto');
+const Tokenizer = require('./tokenizer');
+const ChunkDeduplicator = require('./deduplicator');
+const HeadingStrategy = require('./chunking/heading-strategy');
+const FixedWindowStrategy = require('./chunking/fixed-window-strategy');
+const SemanticStrategy = require('./chunking/semantic-strategy');
 
 /**
  * Smart document chunker for structured data
@@ -6,8 +11,123 @@ const crypto = require('crypto');
  */
 class DocumentChunker {
   constructor(config = {}) {
+    // Sizes are in tokens (see utils/tokenizer.js)
+    this.tokenizer = config.tokenizer || new Tokenizer();
     this.chunkSize = config.chunkSize || parseInt(process.env.CHUNK_SIZE) || 450;
     this.overlap = config.overlap || parseInt(process.env.CHUNK_OVERLAP) || 68;
+    // Sections up to this size stay whole; never above the embedding model's input limit
+    this.maxChunkTokens = Math.min(
+      config.maxChunkTokens || parseInt(process.env.MAX_CHUNK_TOKENS) || this.chunkSize * 3,
+      this.tokenizer.maxInputTokens
+    );
+    this.excludeSeverePages = config.excludeSeverePages !== false &&
+      process.env.EXCLUDE_SEVERE_PAGES !== 'false';
+    this.dedupe = config.dedupe !== false && process.env.DEDUPE_CHUNKS !== 'false';
+    // Page summary chunks: structured (default), llm (see prepareSummaries) or false
+    this.pageSummaries = this.parseSummaryMode(config.pageSummaries ?? process.env.PAGE_SUMMARIES ?? 'structured');
+    this.generatedSummaries = new Map();
+    this.deduplicator = config.deduplicator || new ChunkDeduplicator(config.dedupeOptions);
+
+    // Chunking strategies: default, per crawl target ("local-docs:semantic") and per chunk_type
+    this.strategies = {};
+    this.registerStrategy(new HeadingStrategy(this));
+    this.registerStrategy(new FixedWindowStrategy(this));
+    this.registerStrategy(new SemanticStrategy(this, config.semanticOptions));
+    this.defaultStrategy = config.strategy || process.env.CHUNK_STRATEGY || 'heading';
+    this.sourceStrategies = config.sourceStrategies || this.parseStrategyMap(process.env.CHUNK_STRATEGY_SOURCES);
+    this.typeStrategies = config.typeStrategies || this.parseStrategyMap(process.env.CHUNK_STRATEGY_TYPES);
+  }
+
+  /**
+   * Add a strategy ({ name, chunk(markdown, context), split(text, maxTokens) })
+   */
+  registerStrategy(strategy) {
+    this.strategies[strategy.name] = strategy;
+  }
+
+  /**
+   * PAGE_SUMMARIES value (boolean or string) -> 'structured', 'llm' or false
+   */
+  parseSummaryMode(value) {
+    const mode = String(value).trim().toLowerCase();
+    if (['false', 'off', 'none', '0', ''].includes(mode)) return false;
+    if (mode === 'true') return 'structured';
+    if (mode !== 'structured' && mode !== 'llm') {
+      throw new Error(`Unknown PAGE_SUMMARIES mode: ${value} (use structured, llm or false)`);
+    }
+    return mode;
+  }
+
+  /**
+   * "key:strategy,key:strategy" -> { key: strategy }
+   */
+  parseStrategyMap(value) {
+    const map = {};
+    (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const separator = entry.lastIndexOf(':');
+      map[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+    });
+    return map;
+  }
+
+  /**
+   * Strategy for a chunk_type of a page (chunk_type, then crawl target, then default)
+   */
+  resolveStrategy(pageData, chunkType = 'documentation') {
+    const name = this.typeStrategies[chunkType] ||
+      this.sourceStrategies[pageData.target] ||
+      this.defaultStrategy;
+
+    if (!this.strategies[name]) {
+      throw new Error(`Unknown chunking strategy: ${name} (available: ${Object.keys(this.strategies).join(', ')})`);
+    }
+    return this.strategies[name];
+  }
+
+  /**
+   * Let strategies pre-compute what they need (e.g. sentence embeddings)
+   * embed(texts) resolves to one vector per text
+   */
+  async prepare(pages, embed) {
+    const cleaned = this.dedupe ? this.deduplicator.stripBoilerplate(pages).pages : pages;
+
+    for (const strategy of Object.values(this.strategies)) {
+      if (!strategy.prepare) continue;
+
+      const markdowns = cleaned
+        .filter(page => page.markdown && !(page.code_samples || []).length)
+        .filter(page => this.resolveStrategy(page) === strategy)
+        .map(page => page.markdown);
+
+      if (markdowns.length > 0) {
+        const count = await strategy.prepare(markdowns, embed);
+        console.log(`   Prepared ${count} ${strategy.name} chunking inputs`);
+      }
+    }
+  }
+
+  /**
+   * Generate page summaries with an async summarize(page) => text function
+   * (used by page_summary chunks when PAGE_SUMMARIES=llm)
+   */
+  async prepareSummaries(pages, summarize) {
+    let generated = 0;
+
+    for (const page of pages) {
+      if (!page.url || this.generatedSummaries.has(page.url)) continue;
+      try {
+        const summary = await summarize(page);
+        if (summary) {
+          this.generatedSummaries.set(page.url, summary.trim());
+          generated++;
+        }
+      } catch (error) {
+        console.warn(`   ⚠️ Summary failed for ${page.url}: ${error.message}`);
+      }
+    }
+
+    console.log(`   Generated ${generated}/${pages.length} page summaries`);
+    return generated;
   }
 
   /**
@@ -17,9 +137,18 @@ class DocumentChunker {
     const chunks = [];
     const pageContext = this.createPageContext(pageData);
 
-    // Process properties as a single chunk
-    if (pageData.properties && pageData.properties.length > 0) {
-      chunks.push(this.createPropertyChunk(pageData.properties, pageContext, pageData.url));
+    // Overview of the whole page for broad questions
+    if (this.pageSummaries) {
+      chunks.push(this.createPageSummaryChunk(pageData, pageContext));
+    }
+
+    // Process properties as an overview chunk plus one chunk per property/enum value
+    const properties = pageData.properties || [];
+    if (properties.length > 0) {
+      chunks.push(this.createPropertyChunk(properties, pageContext, pageData.url));
+      properties.forEach(prop => {
+        chunks.push(this.createPropertyValueChunk(prop, pageContext, pageData));
+      });
     }
 
     // Process each method as a separate chunk
@@ -34,18 +163,223 @@ class DocumentChunker {
       });
     }
 
-    // Process markdown content
-    if (pageData.markdown) {
-      const markdownChunks = this.chunkMarkdown(
-        pageData.markdown,
-        pageData.url
-      );
+    // Process each function of a code sample file as a separate chunk
+    const codeSamples = pageData.code_samples || [];
+    codeSamples.forEach(sample => {
+      chunks.push(this.createCodeSampleChunk(sample, pageContext, pageData.url));
+    });
+
+    // Structural chunks come straight from the parsed reference data
+    chunks.forEach(chunk => {
+      chunk.metadata.chunking_strategy = 'structured';
+    });
+
+    // Process markdown content (code files are fully covered by their samples)
+    if (pageData.markdown && codeSamples.length === 0) {
+      const strategy = this.resolveStrategy(pageData);
+      const markdownChunks = strategy.chunk(pageData.markdown, {
+        url: pageData.url,
+        pageContext,
+        title: pageData.title,
+        // Property/enum tables are already covered row by row
+        options: { skipPropertyTables: properties.length > 0 }
+      });
+      markdownChunks.forEach(chunk => {
+        chunk.metadata.chunking_strategy = strategy.name;
+      });
       chunks.push(...markdownChunks);
     }
 
+    this.assignStableIds(chunks, pageData.url);
+
+    // Breadcrumb and hierarchy ids so hits can be expanded to their section or page
+    const pageId = this.generateId(pageData.url, 'page');
+    chunks.forEach(chunk => {
+      const headingPath = chunk.metadata.heading_path || [];
+      chunk.metadata.page_id = pageId;
+      chunk.metadata.section_id = chunk.metadata.section_id || chunk.id;
+      chunk.metadata.parent_id = chunk.metadata.parent_id || pageId;
+      chunk.metadata.heading_path = headingPath;
+      chunk.metadata.breadcrumb = this.buildBreadcrumb(pageData.title, headingPath);
+    });
+
+    // A deprecated class/service deprecates everything on its page
+    if (pageData.deprecated) {
+      chunks.forEach(chunk => {
+        chunk.metadata.deprecated = true;
+        chunk.metadata.replacement = chunk.metadata.replacement || pageData.replacement || null;
+      });
+    }
+
+    // Tag every chunk with the crawl target the page came from
+    if (pageData.target) {
+      chunks.forEach(chunk => {
+        chunk.metadata.crawl_target = pageData.target;
+        chunk.metadata.tags = pageData.tags || [];
+      });
+    }
+
+    // Reading order on the page (chunk_index stays 0 so moved chunks keep their row key)
+    const fitted = this.fitToLimit(chunks, pageData);
+    fitted.forEach((chunk, position) => {
+      chunk.metadata.page_position = position;
+    });
+
+    return fitted;
+  }
+
+  /**
+   * Split any chunk over the model input limit and record token counts
+   */
+  fitToLimit(chunks, pageData = {}) {
+    const fitted = [];
+
+    chunks.forEach(chunk => {
+      const tokens = this.tokenizer.count(chunk.content);
+      if (tokens <= this.tokenizer.maxInputTokens) {
+        fitted.push({ ...chunk, tokens });
+        return;
+      }
+
+      const strategy = this.resolveStrategy(pageData, chunk.metadata.chunk_type);
+      const parts = strategy.split(chunk.content, this.maxChunkTokens);
+      parts.forEach((part, partIndex) => {
+        const url = chunk.metadata.source_url;
+        fitted.push({
+          id: this.generateId(url, `${chunk.id}_part_${partIndex}`),
+          chunk_index: 0,
+          content: part,
+          tokens: this.tokenizer.count(part),
+          metadata: {
+            ...chunk.metadata,
+            chunk_key: this.generateId(url, `${chunk.metadata.chunk_key}_part_${partIndex}`),
+            content_hash: this.fingerprint(part),
+            part_index: partIndex,
+            part_count: parts.length,
+            split_strategy: strategy.name
+          }
+        });
+      });
+    });
+
+    return fitted;
+  }
+
+  /**
+   * Content-derived chunk ids, so re-crawls only re-key chunks whose content changed
+   *
+   * - id: URL + heading path + content fingerprint
+   * - metadata.chunk_key: URL + heading path + occurrence (the chunk's slot on the page)
+   * - metadata.content_hash: fingerprint of the chunk content
+   */
+  assignStableIds(chunks, url) {
+    const seenIds = new Map();
+    const seenPaths = new Map();
+
+    chunks.forEach(chunk => {
+      const headingPath = chunk.metadata.heading_path || [];
+      const pathKey = headingPath.join(' > ');
+      const occurrence = seenPaths.get(pathKey) || 0;
+      seenPaths.set(pathKey, occurrence + 1);
+
+      let id = this.stableId(url, headingPath, chunk.content);
+      const duplicates = seenIds.get(id) || 0;
+      seenIds.set(id, duplicates + 1);
+      if (duplicates > 0) {
+        // Identical content under the same heading path
+        id = this.generateId(url, `${id}_${duplicates}`);
+      }
+
+      chunk.id = id;
+      // document_id is unique on its own; a positional index would re-key unchanged chunks
+      chunk.chunk_index = 0;
+      chunk.metadata.chunk_key = this.generateId(url, `${pathKey}#${occurrence}`);
+      chunk.metadata.content_hash = this.fingerprint(chunk.content);
+    });
+
     return chunks;
   }
 
+  /**
+   * Id from URL, heading path and content fingerprint
+   */
+  stableId(url, headingPath, content) {
+    return this.generateId(url, `${headingPath.join(' > ')}\n${this.fingerprint(content)}`);
+  }
+
+  /**
+   * Whitespace-insensitive content hash
+   */
+  fingerprint(text) {
+    return crypto
+      .createHash('sha256')
+      .update((text || '').replace(/\s+/g, ' ').trim())
+      .digest('hex')
+      .substring(0, 16);
+  }
+
+  /**
+   * Compare chunks against the previous run's { url: { chunk_key: id } } index
+   * Only pages listed in urls are compared (pages that were re-chunked)
+   */
+  diffChunks(previous, chunks, urls) {
+    const current = this.indexChunks(chunks);
+    const pages = {};
+    const totals = { added: 0, changed: 0, removed: 0, unchanged: 0 };
+
+    urls.forEach(url => {
+      const before = previous[url] || {};
+      const after = current[url] || {};
+      const report = { added: [], changed: [], removed: [], unchanged: 0 };
+      const previousIds = new Set(Object.values(before));
+      const currentIds = new Set(Object.values(after));
+
+      // An id seen before is unchanged content, even if it moved to another slot
+      Object.entries(after).forEach(([key, id]) => {
+        if (previousIds.has(id)) {
+          report.unchanged++;
+        } else if (key in before) {
+          report.changed.push({ id, previousId: before[key] });
+        } else {
+          report.added.push(id);
+        }
+      });
+
+      report.removed = Object.entries(before)
+        .filter(([key, id]) => !(key in after) && !currentIds.has(id))
+        .map(([, id]) => id);
+
+      totals.added += report.added.length;
+      totals.changed += report.changed.length;
+      totals.removed += report.removed.length;
+      totals.unchanged += report.unchanged;
+      pages[url] = report;
+    });
+
+    return { pages, totals };
+  }
+
+  /**
+   * { url: { chunk_key: id } } index of chunks
+   */
+  indexChunks(chunks) {
+    const index = {};
+    chunks.forEach(chunk => {
+      const url = chunk.metadata.source_url;
+      index[url] = index[url] || {};
+      index[url][chunk.metadata.chunk_key] = chunk.id;
+    });
+    return index;
+  }
+
+  /**
+   * "Page > Heading > Subheading" (a leading heading equal to the title is dropped)
+   */
+  buildBreadcrumb(title, headingPath) {
+    const path = headingPath[0] === title ? headingPath.slice(1) : headingPath;
+    return [title, ...path].filter(Boolean).join(' > ');
+  }
+
   /**
    * Create page context header
    */
@@ -55,6 +389,85 @@ Component Type: ${pageData.component_type || 'Documentation'}
 URL: ${pageData.url}`.trim();
   }
 
+  /**
+   * Create page summary chunk (description, methods, properties, key concepts)
+   */
+  createPageSummaryChunk(pageData, pageContext) {
+    const structured = pageData.structured_data || {};
+    const generated = this.generatedSummaries.get(pageData.url);
+    const description = generated || structured.page_description || this.firstParagraph(pageData.markdown);
+    const methodNames = [...new Set((pageData.methods || []).map(method => method.signature.split('(')[0]))];
+    const propertyNames = (pageData.properties || []).map(prop => prop.property_name);
+    const functionNames = (pageData.code_samples || []).map(sample => sample.name);
+    const keyConcepts = this.keyConcepts(pageData);
+
+    let content = `${pageContext}\n\n## Overview: ${pageData.title}\n\n`;
+    if (description) {
+      content += `${description}\n\n`;
+    }
+    content += `- **Component type:** ${pageData.component_type || 'Documentation'}\n`;
+    if (methodNames.length > 0) {
+      content += `- **Methods (${methodNames.length}):** ${methodNames.join(', ')}\n`;
+    }
+    if (propertyNames.length > 0) {
+      content += `- **${pageData.component_type === 'Enum' ? 'Values' : 'Properties'} (${propertyNames.length}):** ${propertyNames.join(', ')}\n`;
+    }
+    if (functionNames.length > 0) {
+      content += `- **Functions (${functionNames.length}):** ${functionNames.join(', ')}\n`;
+    }
+    if (keyConcepts.length > 0) {
+      content += `- **Key concepts:** ${keyConcepts.join(', ')}\n`;
+    }
+
+    return {
+      content: content.trim(),
+      metadata: {
+        source_url: pageData.url,
+        chunk_type: 'page_summary',
+        heading_path: [],
+        component_type: pageData.component_type || null,
+        summary_source: generated ? 'llm' : 'structured',
+        method_count: methodNames.length,
+        method_names: methodNames,
+        property_names: propertyNames,
+        key_concepts: keyConcepts
+      }
+    };
+  }
+
+  /**
+   * First prose paragraph of the markdown (after the title)
+   */
+  firstParagraph(markdown) {
+    const paragraph = (markdown || '')
+      .split(/\n\s*\n/)
+      .map(block => block.trim())
+      .find(block => block && !/^(#|\||```|~~~|[-*] |!\[)/.test(block));
+
+    return paragraph ? this.tokenizer.truncate(paragraph.replace(/\s+/g, ' '), 120) : '';
+  }
+
+  /**
+   * Section headings, return types and services that characterise a page
+   */
+  keyConcepts(pageData) {
+    const generic = /^(methods?|properties|detailed documentation|deprecated( methods)?|parameters|returns?|authorization|throws|examples?|overview)$/i;
+    const concepts = [];
+
+    (pageData.markdown || '').split('\n').forEach(line => {
+      const heading = line.match(/^#{2,3} (.+)$/);
+      if (heading) concepts.push(this.cleanHeading(heading[1]));
+    });
+    (pageData.methods || []).forEach(method => {
+      if (method.return_type && /^[A-Z]\w+$/.test(method.return_type)) concepts.push(method.return_type);
+    });
+    (pageData.code_samples || []).forEach(sample => concepts.push(...(sample.services || [])));
+
+    return [...new Set(concepts)]
+      .filter(concept => concept && !concept.includes('(') && !generic.test(concept))
+      .slice(0, 12);
+  }
+
   /**
    * Create property chunk
    */
@@ -68,22 +481,86 @@ URL: ${pageData.url}`.trim();
     });
 
     return {
-      id: this.generateId(url, 'properties'),
       content: content.trim(),
       metadata: {
         source_url: url,
         chunk_type: 'properties',
+        heading_path: ['Properties'],
         property_count: properties.length,
         property_names: properties.map(p => p.property_name)
       }
     };
   }
 
+  /**
+   * Create a chunk for one property, or one value of an enum
+   */
+  createPropertyValueChunk(prop, pageContext, pageData) {
+    const owner = this.componentName(pageData.title);
+    const isEnum = pageData.component_type === 'Enum';
+    const qualifiedName = owner ? `${owner}.${prop.property_name}` : prop.property_name;
+
+    let content = `${pageContext}\n\n## ${isEnum ? 'Enum value' : 'Property'}: ${qualifiedName}\n\n`;
+    if (prop.description) {
+      content += `${prop.description}\n\n`;
+    }
+    content += isEnum
+      ? `- **Enum:** ${owner}\n- **Value:** ${prop.property_name}\n`
+      : `- **Class:** ${owner}\n- **Property:** ${prop.property_name}\n`;
+    if (prop.type) {
+      content += `- **Type:** ${prop.type}\n`;
+    }
+    content += `\nUsage: \`${qualifiedName}\``;
+
+    const metadata = {
+      source_url: pageData.url,
+      chunk_type: isEnum ? 'enum_value' : 'property',
+      heading_path: ['Properties', prop.property_name],
+      component_type: pageData.component_type,
+      property_name: prop.property_name,
+      property_type: prop.type || null,
+      description: prop.description || ''
+    };
+
+    if (isEnum) {
+      Object.assign(metadata, {
+        enum_name: owner,
+        enum_value: prop.property_name,
+        value_type: prop.type || null
+      });
+    } else {
+      metadata.class_name = owner;
+    }
+
+    return { content: content.trim(), metadata };
+  }
+
+  /**
+   * "Enum MimeType" -> "MimeType"
+   */
+  componentName(title) {
+    return (title || '').replace(/^(Class|Enum|Interface)\s+/i, '').trim() || null;
+  }
+
+  /**
+   * Section holding only a "Property | Type | Description" table
+   */
+  isPropertyTableSection(section) {
+    const body = section.trim().replace(/^#{1,6} .*\n?/, '').trim();
+    return /^\|\s*Property\s*\|/i.test(body) &&
+      body.split('\n').every(line => line.trim().startsWith('|'));
+  }
+
   /**
    * Create method chunk with rich metadata
    */
   createMethodChunk(method, pageContext, url, componentType) {
     let content = `${pageContext}\n\n## Method: ${method.signature}\n\n`;
+    if (method.deprecated) {
+      content += method.replacement
+        ? `**Deprecated.** Use ${method.replacement} instead.\n\n`
+        : `**Deprecated.**\n\n`;
+    }
     content += `${method.description || 'No description available'}\n\n`;
 
     if (method.parameters && method.parameters.length > 0) {
@@ -103,41 +580,114 @@ URL: ${pageData.url}`.trim();
     }
 
     return {
-      id: this.generateId(url, method.signature),
       content: content.trim(),
       metadata: {
         source_url: url,
         chunk_type: 'method',
+        heading_path: ['Methods', method.signature],
         component_type: componentType,
         method_signature: method.signature,
         method_name: method.signature.split('(')[0],
         has_parameters: method.parameters && method.parameters.length > 0,
         has_example: !!method.code_example,
-        return_type: method.return_type
+        return_type: method.return_type,
+        deprecated: !!method.deprecated,
+        replacement: method.replacement || null
+      }
+    };
+  }
+
+  /**
+   * Create code sample chunk for one function
+   */
+  createCodeSampleChunk(sample, pageContext, url) {
+    let content = `${pageContext}\n\n## Code Sample: ${sample.name}\n\n`;
+
+    if (sample.description) {
+      content += `${sample.description}\n\n`;
+    }
+
+    content += `- **File:** ${sample.file_path} (lines ${sample.start_line}-${sample.end_line})\n`;
+    if (sample.services && sample.services.length > 0) {
+      content += `- **Services:** ${sample.services.join(', ')}\n`;
+    }
+
+    const code = sample.jsdoc ? `${sample.jsdoc}\n${sample.code}` : sample.code;
+    content += `\n\`\`\`javascript\n${code}\n\`\`\`\n`;
+
+    return {
+      content: content.trim(),
+      metadata: {
+        source_url: url,
+        chunk_type: 'code_sample',
+        heading_path: [sample.name],
+        function_name: sample.name,
+        function_signature: sample.signature,
+        file_path: sample.file_path,
+        language: sample.language,
+        services: sample.services || [],
+        has_jsdoc: !!sample.jsdoc,
+        has_code: true,
+        start_line: sample.start_line,
+        end_line: sample.end_line
       }
     };
   }
 
   /**
    * Chunk markdown content intelligently
+   * Every chunk is prefixed with the page context and its heading breadcrumb
    */
-  chunkMarkdown(markdown, url) {
+  chunkMarkdown(markdown, url, pageContext = null, title = null, options = {}) {
     const chunks = [];
     const sections = this.splitIntoSections(markdown);
+    const headingStack = [];
 
     sections.forEach((section, index) => {
-      if (this.estimateTokens(section) > this.chunkSize * 3) {
-        // Large section - split further
-        const subChunks = this.splitLargeText(section);
+      const heading = section.trimStart().match(/^(#{1,3}) (.+)$/m);
+      if (heading && section.trimStart().startsWith(heading[0])) {
+        const level = heading[1].length;
+        headingStack.length = level - 1;
+        headingStack[level - 1] = this.cleanHeading(heading[2]);
+      }
+
+      if (options.skipPropertyTables && this.isPropertyTableSection(section)) return;
+
+      const headingPath = headingStack.filter(Boolean);
+      const breadcrumb = this.buildBreadcrumb(title, headingPath);
+      const context = pageContext ? `${pageContext}\nSection: ${breadcrumb}\n\n` : '';
+      const sectionId = this.stableId(url, headingPath, section);
+      const baseMetadata = {
+        source_url: url,
+        chunk_type: 'documentation',
+        section_index: index,
+        section_id: sectionId,
+        heading_path: headingPath,
+        deprecated: this.isDeprecatedSection(section)
+      };
+
+      if (this.estimateTokens(context + section) > this.maxChunkTokens) {
+        // Large section - split further; pieces share the section as parent
+        const pieceSize = Math.max(this.overlap + 1, this.chunkSize - this.estimateTokens(context));
+        const subChunks = this.splitLargeText(section, pieceSize);
+        let cursor = 0;
         subChunks.forEach((subChunk, subIndex) => {
+          // Extend the path with any #### headings above this piece
+          const offset = section.indexOf(subChunk.slice(0, 80), cursor);
+          cursor = offset === -1 ? cursor : offset;
+          const subPath = [...headingPath, ...this.deeperHeadings(section.slice(0, cursor + subChunk.indexOf('\n') + 1))];
+          const subContext = pageContext
+            ? `${pageContext}\nSection: ${this.buildBreadcrumb(title, subPath)}\n\n`
+            : '';
+
           chunks.push({
-            id: this.generateId(url, `section_${index}_${subIndex}`),
-            content: subChunk,
+            content: subContext + subChunk,
             metadata: {
-              source_url: url,
-              chunk_type: 'documentation',
-              section_index: index,
+              ...baseMetadata,
+              heading_path: subPath,
+              parent_id: sectionId,
               sub_index: subIndex,
+              sub_count: subChunks.length,
               has_code: subChunk.includes('```')
             }
           });
@@ -145,12 +695,9 @@ URL: ${pageData.url}`.trim();
       } else {
         // Small enough to be a single chunk
         chunks.push({
-          id: this.generateId(url, `section_${index}`),
-          content: section,
+          content: context + section,
           metadata: {
-            source_url: url,
-            chunk_type: 'documentation',
-            section_index: index,
+            ...baseMetadata,
             has_code: section.includes('```')
           }
         });
@@ -160,38 +707,314 @@ URL: ${pageData.url}`.trim();
     return chunks;
   }
 
+  /**
+   * Documentation chunks from text pieces of a page (fixed-window/semantic strategies)
+   * Each piece's heading path is the headings open where it starts
+   */
+  createPieceChunks(pieces, markdown, { url, pageContext, title, strategy }) {
+    let cursor = 0;
+
+    return pieces.map((piece, index) => {
+      const offset = markdown.indexOf(piece.slice(0, 80), cursor);
+      cursor = offset === -1 ? cursor : offset;
+      const headingPath = this.headingPathAt(markdown, cursor + piece.indexOf('\n') + 1);
+      const context = pageContext
+        ? `${pageContext}\nSection: ${this.buildBreadcrumb(title, headingPath)}\n\n`
+        : '';
+
+      return {
+        content: context + piece,
+        metadata: {
+          source_url: url,
+          chunk_type: 'documentation',
+          heading_path: headingPath,
+          piece_index: index,
+          piece_count: pieces.length,
+          chunking_strategy: strategy,
+          deprecated: this.isDeprecatedSection(piece),
+          has_code: piece.includes('```')
+        }
+      };
+    });
+  }
+
+  /**
+   * Headings (levels 1-6) open at an offset of the markdown
+   */
+  headingPathAt(markdown, offset) {
+    const stack = [];
+    let fence = null;
+
+    markdown.slice(0, Math.max(0, offset)).split('\n').forEach(line => {
+      const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+      if (fenceMatch) {
+        if (!fence) fence = fenceMatch[1];
+        else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+        return;
+      }
+
+      const heading = !fence && line.match(/^(#{1,6}) (.+)$/);
+      if (heading) {
+        stack.length = heading[1].length - 1;
+        stack[heading[1].length - 1] = this.cleanHeading(heading[2]);
+      }
+    });
+
+    return stack.filter(Boolean);
+  }
+
+  /**
+   * Nested #### to ###### headings still open at the end of text
+   */
+  deeperHeadings(text) {
+    const stack = [];
+    text.split('\n').forEach(line => {
+      const match = line.match(/^(#{4,6}) (.+)$/);
+      if (!match) return;
+      const depth = match[1].length - 4;
+      stack.length = depth;
+      stack[depth] = this.cleanHeading(match[2]);
+    });
+    return stack.filter(Boolean);
+  }
+
+  /**
+   * Heading text without markdown syntax
+   */
+  cleanHeading(text) {
+    return text
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/[`*_]/g, '')
+      .replace(/\s+#+\s*$/, '')
+      .trim();
+  }
+
+  /**
+   * Section whose heading or opening line marks it as deprecated
+   */
+  isDeprecatedSection(section) {
+    const [firstLine, ...rest] = section.trim().split('\n');
+    const opening = rest.find(line => line.trim()) || '';
+    return /^#{1,3}\s+.*\bdeprecated\b/i.test(firstLine) ||
+      /^\W*deprecated\b/i.test(opening.trim());
+  }
+
   /**
    * Split markdown into logical sections
    */
   splitIntoSections(markdown) {
-    // Split on headers while preserving them
-    const sections = markdown.split(/(?=^#{1,3} )/gm);
+    // Split on headers while preserving them (a "# comment" inside a code fence is not a header)
+    const sections = [];
+    let current = [];
+    let fence = null;
+
+    markdown.split('\n').forEach(line => {
+      const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+      if (fenceMatch) {
+        if (!fence) fence = fenceMatch[1];
+        else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+      } else if (!fence && /^#{1,3} /.test(line) && current.length > 0) {
+        sections.push(current.join('\n'));
+        current = [];
+      }
+      current.push(line);
+    });
+    sections.push(current.join('\n'));
+
     return sections.filter(s => s.trim().length > 0);
   }
 
   /**
-   * Split large text with overlap
+   * Split large text into chunks of at most maxTokens with token overlap
+   * Code fences and tables stay whole when they fit; prose breaks on
+   * paragraphs, then lines, sentences and words. Whitespace is preserved.
    */
-  splitLargeText(text) {
-    const words = text.split(/\s+/);
+  splitLargeText(text, maxTokens = this.chunkSize) {
+    const units = this.splitBlocks(text.trim()).flatMap(block => {
+      if (block.type === 'code') return this.splitCodeBlock(block.text, maxTokens);
+      if (block.type === 'table') return this.splitTable(block.text, maxTokens);
+      return this.splitUnits(block.text, maxTokens);
+    });
     const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+
+    units.forEach(unit => {
+      if (currentTokens + unit.tokens > maxTokens && current.length > 0) {
+        chunks.push(current.map(u => u.text).join('').trim());
 
-    for (let i = 0; i < words.length; i += this.chunkSize - this.overlap) {
-      const chunkWords = words.slice(i, i + this.chunkSize);
-      if (chunkWords.length > 0) {
-        chunks.push(chunkWords.join(' '));
+        // Carry trailing units into the next chunk as overlap
+        const carried = [];
+        let carriedTokens = 0;
+        for (let i = current.length - 1; i >= 0; i--) {
+          if (carriedTokens + current[i].tokens > Math.min(this.overlap, maxTokens - unit.tokens)) break;
+          carried.unshift(current[i]);
+          carriedTokens += current[i].tokens;
+        }
+        current = carried;
+        currentTokens = carriedTokens;
       }
+
+      current.push(unit);
+      currentTokens += unit.tokens;
+    });
+
+    if (current.length > 0) {
+      chunks.push(current.map(u => u.text).join('').trim());
     }
 
-    return chunks;
+    return chunks.filter(Boolean);
+  }
+
+  /**
+   * Segment markdown into code fence, table and prose blocks (exact text kept)
+   */
+  splitBlocks(text) {
+    const lines = text.split(/(?<=\n)/);
+    const blocks = [];
+    let i = 0;
+
+    const push = (type, blockLines) => {
+      const last = blocks[blocks.length - 1];
+      if (type === 'text' && last && last.type === 'text') last.text += blockLines.join('');
+      else blocks.push({ type, text: blockLines.join('') });
+    };
+
+    while (i < lines.length) {
+      const fenceMatch = lines[i].match(/^\s*(`{3,}|~{3,})/);
+      const isTable = lines[i].trim().startsWith('|') &&
+        i + 1 < lines.length && /^\s*\|?\s*:?-{3,}/.test(lines[i + 1]);
+
+      if (fenceMatch) {
+        const fence = fenceMatch[1];
+        let j = i + 1;
+        while (j < lines.length && !(lines[j].trim().startsWith(fence[0].repeat(fence.length)) &&
+          /^\s*(`{3,}|~{3,})\s*$/.test(lines[j]))) {
+          j++;
+        }
+        push('code', lines.slice(i, j + 1));
+        i = j + 1;
+      } else if (isTable) {
+        let j = i + 2;
+        while (j < lines.length && lines[j].trim().startsWith('|')) j++;
+        push('table', lines.slice(i, j));
+        i = j;
+      } else {
+        push('text', [lines[i]]);
+        i++;
+      }
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Fenced code block as one unit, or several fenced pieces split on lines
+   */
+  splitCodeBlock(code, maxTokens) {
+    const tokens = this.tokenizer.count(code);
+    if (tokens <= maxTokens) {
+      return [{ text: code, tokens, atomic: true }];
+    }
+
+    const lines = code.replace(/\n$/, '').split('\n');
+    const open = lines[0];
+    const hasClose = lines.length > 1 && /^\s*(`{3,}|~{3,})\s*$/.test(lines[lines.length - 1]);
+    const close = hasClose ? lines[lines.length - 1] : open.trim().match(/^(`{3,}|~{3,})/)[1];
+    const body = lines.slice(1, hasClose ? -1 : undefined);
+
+    return this.packLines(body, maxTokens - this.tokenizer.count(`${open}\n${close}\n`))
+      .map(piece => {
+        const text = `${open}\n${piece}\n${close}\n`;
+        return { text, tokens: this.tokenizer.count(text), atomic: true };
+      });
   }
 
   /**
-   * Estimate token count (rough approximation)
+   * Table as one unit, or several tables split on rows with the header repeated
+   */
+  splitTable(table, maxTokens) {
+    const tokens = this.tokenizer.count(table);
+    if (tokens <= maxTokens) {
+      return [{ text: table, tokens, atomic: true }];
+    }
+
+    const lines = table.replace(/\n$/, '').split('\n');
+    const header = `${lines[0]}\n${lines[1]}`;
+
+    return this.packLines(lines.slice(2), maxTokens - this.tokenizer.count(`${header}\n`))
+      .map(rows => {
+        const text = `${header}\n${rows}\n`;
+        return { text, tokens: this.tokenizer.count(text), atomic: true };
+      });
+  }
+
+  /**
+   * Group lines into newline-joined pieces of at most maxTokens
+   * (a single oversized line is hard-cut)
+   */
+  packLines(lines, maxTokens) {
+    const budget = Math.max(1, maxTokens);
+    const pieces = [];
+    let current = [];
+    let currentTokens = 0;
+
+    lines.forEach(line => {
+      const lineTokens = this.tokenizer.count(line) + 1;
+
+      if (lineTokens > budget) {
+        if (current.length > 0) pieces.push(current.join('\n'));
+        this.splitUnits(line, budget, 3).forEach(unit => pieces.push(unit.text));
+        current = [];
+        currentTokens = 0;
+        return;
+      }
+
+      if (currentTokens + lineTokens > budget && current.length > 0) {
+        pieces.push(current.join('\n'));
+        current = [];
+        currentTokens = 0;
+      }
+
+      current.push(line);
+      currentTokens += lineTokens;
+    });
+
+    if (current.length > 0) pieces.push(current.join('\n'));
+    return pieces;
+  }
+
+  /**
+   * Break text into pieces that each fit maxTokens (separators kept on the pieces)
+   */
+  splitUnits(text, maxTokens, level = 0) {
+    const separators = [/(?<=\n\s*\n)/, /(?<=\n)/, /(?<=[.!?]\s)/, /(?<=\s)/];
+    const tokens = this.tokenizer.count(text);
+
+    if (tokens <= maxTokens) {
+      return [{ text, tokens }];
+    }
+
+    if (level >= separators.length) {
+      // No natural boundary left: hard cut by tokens
+      const head = this.tokenizer.truncate(text, maxTokens) || text.slice(0, Math.max(1, maxTokens));
+      return [
+        { text: head, tokens: this.tokenizer.count(head) },
+        ...this.splitUnits(text.slice(head.length), maxTokens, level)
+      ].filter(unit => unit.text);
+    }
+
+    return text
+      .split(separators[level])
+      .filter(piece => piece.length > 0)
+      .flatMap(piece => this.splitUnits(piece, maxTokens, level + 1));
+  }
+
+  /**
+   * Token count for sizing decisions
    */
   estimateTokens(text) {
-    // Rough estimate: ~4 characters per token
-    return Math.ceil(text.length / 4);
+    return this.tokenizer.count(text);
   }
 
   /**
@@ -205,40 +1028,87 @@ URL: ${pageData.url}`.trim();
 
   /**
    * Process multiple pages
+   * options.urls returns only those pages' chunks (incremental runs); boilerplate and
+   * near-duplicates are still judged against every page so the output matches a full run
    */
-  processPages(pages) {
+  processPages(pages, options = {}) {
+    const selected = options.urls ? new Set(options.urls) : null;
     const allChunks = [];
     let stats = {
-      totalPages: pages.length,
+      totalPages: selected ? pages.filter(page => selected.has(page.url)).length : pages.length,
       totalChunks: 0,
+      skippedPages: 0,
       chunkTypes: {}
     };
 
+    // Strip footers/widgets repeated across pages before chunking
+    if (this.dedupe) {
+      const result = this.deduplicator.stripBoilerplate(pages);
+      pages = result.pages;
+      stats.dedupe = { ...result.stats, emptyChunks: 0, duplicateChunks: 0, duplicates: [] };
+    }
+
     pages.forEach((page, index) => {
       if ((index + 1) % 10 === 0) {
         console.log(`Processing page ${index + 1}/${pages.length}...`);
       }
 
-      const pageChunks = this.processPage(page);
-      allChunks.push(...pageChunks);
+      // Skip pages the crawl quality check marked as broken
+      if (this.excludeSeverePages && page.quality?.status === 'error') {
+        stats.skippedPages++;
+        return;
+      }
 
-      // Update statistics
-      pageChunks.forEach(chunk => {
-        const type = chunk.metadata.chunk_type;
-        stats.chunkTypes[type] = (stats.chunkTypes[type] || 0) + 1;
-      });
+      allChunks.push(...this.processPage(page));
     });
 
-    stats.totalChunks = allChunks.length;
+    let chunks = allChunks;
+    if (this.dedupe) {
+      const { deduplicator } = this;
+      chunks = allChunks.filter(chunk => !deduplicator.isEmptyChunk(chunk));
+      stats.dedupe.emptyChunks = allChunks.length - chunks.length;
+
+      const result = deduplicator.removeNearDuplicates(chunks);
+      chunks = result.chunks;
+      const removed = selected
+        ? result.removed.filter(entry => selected.has(entry.source_url))
+        : result.removed;
+      stats.dedupe.duplicateChunks = removed.length;
+      stats.dedupe.duplicates = removed;
+    }
+
+    if (selected) {
+      chunks = chunks.filter(chunk => selected.has(chunk.metadata.source_url));
+    }
+
+    // Update statistics
+    stats.strategies = {};
+    chunks.forEach(chunk => {
+      const type = chunk.metadata.chunk_type;
+      const strategy = chunk.metadata.chunking_strategy;
+      stats.chunkTypes[type] = (stats.chunkTypes[type] || 0) + 1;
+      stats.strategies[strategy] = (stats.strategies[strategy] || 0) + 1;
+    });
+
+    stats.totalChunks = chunks.length;
 
     console.log('\n📊 Chunking Statistics:');
     console.log(`   - Total Chunks: ${stats.totalChunks}`);
+    if (stats.skippedPages > 0) {
+      console.log(`   - Pages skipped (failed quality check): ${stats.skippedPages}`);
+    }
     console.log(`   - Average chunks per page: ${(stats.totalChunks / stats.totalPages).toFixed(1)}`);
     Object.entries(stats.chunkTypes).forEach(([type, count]) => {
       console.log(`   - ${type}: ${count}`);
     });
+    console.log(`   - Strategies: ${Object.entries(stats.strategies).map(([name, count]) => `${name} ${count}`).join(', ')}`);
+    if (stats.dedupe) {
+      const { boilerplateParagraphs, boilerplateRemoved, emptyChunks, duplicateChunks } = stats.dedupe;
+      console.log(`   - Boilerplate removed: ${boilerplateRemoved} paragraphs (${boilerplateParagraphs} distinct)`);
+      console.log(`   - Chunks dropped: ${duplicateChunks} near-duplicates, ${emptyChunks} heading-only`);
+    }
 
-    return { chunks: allChunks, stats };
+    return { chunks, stats };
   }
 }
 
@@ -0,0 +1,65 @@
+/**
+ * Fixed-window chunking
+ * Token windows of CHUNK_SIZE with CHUNK_OVERLAP, ignoring document structure
+ * (a baseline for retrieval evaluations)
+ */
+class FixedWindowStrategy {
+  constructor(chunker) {
+    this.chunker = chunker;
+    this.name = 'fixed';
+  }
+
+  /**
+   * Chunk page markdown into documentation chunks
+   */
+  chunk(markdown, { url, pageContext, title, options = {} }) {
+    // Property/enum tables are already covered row by row
+    const text = options.skipPropertyTables
+      ? this.chunker.splitIntoSections(markdown)
+        .filter(section => !this.chunker.isPropertyTableSection(section))
+        .join('\n')
+      : markdown;
+    const contextTokens = this.chunker.estimateTokens(`${pageContext}\nSection: ${title}\n\n`);
+    const windowSize = Math.max(this.chunker.overlap + 1, this.chunker.chunkSize - contextTokens);
+    const pieces = this.split(text, windowSize);
+
+    return this.chunker.createPieceChunks(pieces, text, { url, pageContext, title, strategy: this.name });
+  }
+
+  /**
+   * Split text into overlapping windows of at most maxTokens (word boundaries)
+   */
+  split(text, maxTokens) {
+    const words = (text.trim().match(/\S+\s*/g) || []).flatMap(word => {
+      const tokens = this.chunker.estimateTokens(word);
+      // A single "word" over the window (minified code, long URLs) is hard-cut
+      return tokens > maxTokens ? this.chunker.splitUnits(word, maxTokens, 4) : [{ text: word, tokens }];
+    });
+    const windows = [];
+    let start = 0;
+
+    while (start < words.length) {
+      let end = start;
+      let tokens = 0;
+      while (end < words.length && (end === start || tokens + words[end].tokens <= maxTokens)) {
+        tokens += words[end].tokens;
+        end++;
+      }
+      windows.push(words.slice(start, end).map(word => word.text).join('').trim());
+      if (end >= words.length) break;
+
+      // Step back far enough to repeat CHUNK_OVERLAP tokens, always moving forward
+      let next = end;
+      let overlapTokens = 0;
+      while (next - 1 > start && overlapTokens + words[next - 1].tokens <= this.chunker.overlap) {
+        next--;
+        overlapTokens += words[next].tokens;
+      }
+      start = next;
+    }
+
+    return windows.filter(Boolean);
+  }
+}
+
+module.exports = FixedWindowStrategy;
@@ -0,0 +1,27 @@
+/**
+ * Heading-based chunking (default)
+ * One chunk per #/##/### section; sections over the size limit are split on
+ * blocks, paragraphs and sentences with overlap
+ */
+class HeadingStrategy {
+  constructor(chunker) {
+    this.chunker = chunker;
+    this.name = 'heading';
+  }
+
+  /**
+   * Chunk page markdown into documentation chunks
+   */
+  chunk(markdown, { url, pageContext, title, options }) {
+    return this.chunker.chunkMarkdown(markdown, url, pageContext, title, options);
+  }
+
+  /**
+   * Split oversized text into pieces of at most maxTokens
+   */
+  split(text, maxTokens) {
+    return this.chunker.splitLargeText(text, maxTokens);
+  }
+}
+
+module.exports = HeadingStrategy;
@@ -0,0 +1,171 @@
+/**
+ * Semantic breakpoint chunking
+ * Splits where the similarity of adjacent sentences (each with its neighbours)
+ * drops below the page's SEMANTIC_BREAKPOINT_PERCENTILE distance.
+ *
+ * Sentence vectors come from prepare() (e.g. Gemini embeddings) when available,
+ * otherwise from local hashed term-frequency vectors.
+ */
+class SemanticStrategy {
+  constructor(chunker, config = {}) {
+    this.chunker = chunker;
+    this.name = 'semantic';
+    this.breakpointPercentile = config.breakpointPercentile ||
+      parseFloat(process.env.SEMANTIC_BREAKPOINT_PERCENTILE) || 90;
+    // Sentences on each side embedded together with a sentence
+    this.bufferSize = config.bufferSize !== undefined ? config.bufferSize : 1;
+    this.dimensions = config.dimensions || 256;
+    this.vectors = new Map();
+  }
+
+  /**
+   * Pre-compute sentence vectors with an async embed(texts) => vectors function
+   */
+  async prepare(markdowns, embed) {
+    const texts = new Set();
+    markdowns.forEach(markdown => {
+      this.windows(this.units(markdown, this.chunker.chunkSize)).forEach(text => texts.add(text));
+    });
+
+    const pending = [...texts].filter(text => !this.vectors.has(text));
+    const vectors = await embed(pending);
+    pending.forEach((text, index) => {
+      if (vectors[index]) this.vectors.set(text, vectors[index]);
+    });
+
+    return pending.length;
+  }
+
+  /**
+   * Chunk page markdown into documentation chunks
+   */
+  chunk(markdown, { url, pageContext, title }) {
+    const pieces = this.split(markdown, this.chunker.chunkSize);
+    const contextTokens = this.chunker.estimateTokens(`${pageContext}\nSection: ${title}\n\n`);
+    const maxTokens = this.chunker.maxChunkTokens - contextTokens;
+
+    // Breakpoints never produce pieces over the whole-chunk limit
+    const sized = pieces.flatMap(piece => this.chunker.estimateTokens(piece) > maxTokens
+      ? this.chunker.splitLargeText(piece, maxTokens)
+      : [piece]);
+
+    return this.chunker.createPieceChunks(sized, markdown, { url, pageContext, title, strategy: this.name });
+  }
+
+  /**
+   * Split text at semantic breakpoints into pieces of at most maxTokens
+   */
+  split(text, maxTokens) {
+    const units = this.units(text, maxTokens);
+    if (units.length <= 1) return units.map(unit => unit.text.trim()).filter(Boolean);
+
+    const distances = this.distances(units);
+    const threshold = this.percentile(distances, this.breakpointPercentile);
+    const minTokens = Math.floor(maxTokens / 4);
+    const pieces = [];
+    let current = [];
+    let currentTokens = 0;
+
+    units.forEach((unit, index) => {
+      const isBreakpoint = index > 0 && distances[index - 1] > threshold && currentTokens >= minTokens;
+      if (current.length > 0 && (isBreakpoint || currentTokens + unit.tokens > maxTokens)) {
+        pieces.push(current.map(u => u.text).join('').trim());
+        current = [];
+        currentTokens = 0;
+      }
+      current.push(unit);
+      currentTokens += unit.tokens;
+    });
+
+    if (current.length > 0) {
+      pieces.push(current.map(u => u.text).join('').trim());
+    }
+
+    return pieces.filter(Boolean);
+  }
+
+  /**
+   * Sentences, lines, code fences and tables as units (exact text kept)
+   */
+  units(text, maxTokens) {
+    return this.chunker.splitBlocks(text.trim()).flatMap(block => {
+      if (block.type === 'code') return this.chunker.splitCodeBlock(block.text, maxTokens);
+      if (block.type === 'table') return this.chunker.splitTable(block.text, maxTokens);
+
+      return block.text
+        .split(/(?<=\n)|(?<=[.!?]\s)(?=\S)/)
+        .filter(piece => piece.length > 0)
+        .reduce((sentences, piece) => {
+          // Blank lines belong to the sentence before them
+          if (!piece.trim() && sentences.length > 0) sentences[sentences.length - 1] += piece;
+          else sentences.push(piece);
+          return sentences;
+        }, [])
+        .flatMap(sentence => this.chunker.splitUnits(sentence, maxTokens, 2));
+    });
+  }
+
+  /**
+   * Each unit's text with bufferSize neighbours on each side
+   */
+  windows(units) {
+    return units.map((_, index) => units
+      .slice(Math.max(0, index - this.bufferSize), index + this.bufferSize + 1)
+      .map(unit => unit.text)
+      .join('')
+      .trim());
+  }
+
+  /**
+   * Cosine distance between each unit and the next
+   */
+  distances(units) {
+    const windows = this.windows(units);
+    // Mixing embedding spaces would make distances meaningless
+    const prepared = windows.every(text => this.vectors.has(text));
+    const vectors = windows.map(text => prepared ? this.vectors.get(text) : this.localVector(text));
+
+    return vectors.slice(1).map((vector, index) => 1 - this.cosine(vectors[index], vector));
+  }
+
+  /**
+   * Hashed term-frequency vector (local fallback for sentence embeddings)
+   */
+  localVector(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    (text.toLowerCase().match(/[a-z0-9_$]+/g) || []).forEach(word => {
+      let hash = 0;
+      for (let i = 0; i < word.length; i++) {
+        hash = (Math.imul(hash, 31) + word.charCodeAt(i)) >>> 0;
+      }
+      vector[hash % this.dimensions] += 1;
+    });
+    return vector;
+  }
+
+  /**
+   * Cosine similarity (0 for empty vectors)
+   */
+  cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  /**
+   * Value at the given percentile (0-100)
+   */
+  percentile(values, p) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+    return sorted[index];
+  }
+}
+
+module.exports = SemanticStrategy;
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+
+/**
+ * Footer/widget text Google docs pages share (removed even when only a few pages are chunked)
+ */
+const KNOWN_BOILERPLATE = [
+  /^except as otherwise noted, the content of this page is licensed/i,
+  /^java is a registered trademark of oracle/i,
+  /^was this (page )?helpful\??/i,
+  /^send feedback\b/i,
+  /^last updated \d{4}-\d{2}-\d{2}/i,
+  /^scripts that use this method require authorization with one or more of the following scopes/i
+];
+
+/**
+ * Chunk deduplicator
+ * Strips paragraphs repeated across many pages (footers, sidebars, feedback
+ * widgets, authorization notes) and drops near-duplicate chunks using MinHash
+ */
+class ChunkDeduplicator {
+  constructor(config = {}) {
+    // A paragraph on this many pages (and this share of pages) counts as boilerplate
+    this.boilerplateMinPages = config.boilerplateMinPages || parseInt(process.env.BOILERPLATE_MIN_PAGES) || 5;
+    this.boilerplateMinShare = config.boilerplateMinShare || parseFloat(process.env.BOILERPLATE_MIN_SHARE) || 0.3;
+    // Estimated Jaccard similarity at or above which two chunks are duplicates
+    this.similarityThreshold = config.similarityThreshold || parseFloat(process.env.DEDUPE_SIMILARITY) || 0.9;
+    this.shingleSize = config.shingleSize || 5;
+    this.numHashes = config.numHashes || 64;
+    this.bands = config.bands || 16;
+    // Method/property chunks of different classes may legitimately share text
+    this.chunkTypes = config.chunkTypes || ['documentation', 'code_sample'];
+    this.minParagraphLength = config.minParagraphLength || 40;
+    this.seeds = this.createSeeds(this.numHashes);
+  }
+
+  /**
+   * Remove boilerplate paragraphs from page markdown (pages are not mutated)
+   */
+  stripBoilerplate(pages) {
+    const pageCounts = new Map();
+    const pageParagraphs = pages.map(page => this.splitParagraphs(page.markdown || ''));
+
+    pageParagraphs.forEach(paragraphs => {
+      const keys = new Set(paragraphs.map(p => this.paragraphKey(p)).filter(Boolean));
+      keys.forEach(key => pageCounts.set(key, (pageCounts.get(key) || 0) + 1));
+    });
+
+    const minPages = Math.max(this.boilerplateMinPages, Math.ceil(pages.length * this.boilerplateMinShare));
+    const boilerplate = new Set();
+    pageCounts.forEach((count, key) => {
+      if (count >= minPages || KNOWN_BOILERPLATE.some(pattern => pattern.test(key))) {
+        boilerplate.add(key);
+      }
+    });
+
+    let removed = 0;
+    const cleaned = pages.map((page, index) => {
+      const paragraphs = pageParagraphs[index];
+      const kept = paragraphs.filter(p => !boilerplate.has(this.paragraphKey(p)));
+      if (kept.length === paragraphs.length) return page;
+
+      removed += paragraphs.length - kept.length;
+      return { ...page, markdown: kept.join('').trim() };
+    });
+
+    return {
+      pages: cleaned,
+      stats: {
+        boilerplateParagraphs: boilerplate.size,
+        boilerplateRemoved: removed,
+        samples: [...boilerplate].slice(0, 5).map(key => key.substring(0, 80))
+      }
+    };
+  }
+
+  /**
+   * Split markdown into paragraphs with their trailing blank lines
+   * (joining them gives back the input; fenced code stays in one paragraph)
+   */
+  splitParagraphs(markdown) {
+    const paragraphs = [];
+    let current = '';
+    let fence = null;
+    let pendingBlank = false;
+
+    markdown.split(/(?<=\n)/).forEach(line => {
+      if (!fence && line.trim() === '') {
+        current += line;
+        pendingBlank = true;
+        return;
+      }
+
+      if (pendingBlank) {
+        paragraphs.push(current);
+        current = '';
+        pendingBlank = false;
+      }
+
+      const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+      if (fenceMatch) {
+        if (!fence) fence = fenceMatch[1];
+        else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+      }
+      current += line;
+    });
+
+    if (current) paragraphs.push(current);
+    return paragraphs;
+  }
+
+  /**
+   * Normalized text of a prose paragraph, or null for headings, code, tables and short text
+   */
+  paragraphKey(paragraph) {
+    const text = paragraph.trim();
+    if (/^(#|\||```|~~~)/.test(text) || text.includes('\n```')) return null;
+
+    const key = text.replace(/\s+/g, ' ').toLowerCase();
+    return key.length >= this.minParagraphLength ? key : null;
+  }
+
+  /**
+   * Drop chunks nearly identical to an earlier chunk
+   * The kept chunk lists the other pages in metadata.duplicate_urls
+   */
+  removeNearDuplicates(chunks) {
+    const buckets = new Map();
+    const signatures = new Map();
+    const rows = Math.floor(this.numHashes / this.bands);
+    const kept = [];
+    const removed = [];
+
+    chunks.forEach(chunk => {
+      if (!this.chunkTypes.includes(chunk.metadata.chunk_type)) {
+        kept.push(chunk);
+        return;
+      }
+
+      const signature = this.minhash(this.chunkBody(chunk.content));
+      const bandKeys = [];
+      for (let band = 0; band < this.bands; band++) {
+        bandKeys.push(`${band}:${signature.slice(band * rows, (band + 1) * rows).join(',')}`);
+      }
+
+      // Candidates share at least one band; confirm with the signature estimate
+      const candidates = new Set(bandKeys.flatMap(key => buckets.get(key) || []));
+      const original = [...candidates].find(candidate =>
+        this.similarity(signature, signatures.get(candidate)) >= this.similarityThreshold);
+
+      if (original) {
+        const url = chunk.metadata.source_url;
+        const duplicateUrls = original.metadata.duplicate_urls || [];
+        if (url && url !== original.metadata.source_url && !duplicateUrls.includes(url)) {
+          original.metadata.duplicate_urls = [...duplicateUrls, url];
+        }
+        removed.push({ id: chunk.id, duplicate_of: original.id, source_url: url });
+        return;
+      }
+
+      signatures.set(chunk, signature);
+      bandKeys.forEach(key => {
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(chunk);
+      });
+      kept.push(chunk);
+    });
+
+    return { chunks: kept, removed };
+  }
+
+  /**
+   * Documentation chunk left with nothing but headings (e.g. after boilerplate removal)
+   */
+  isEmptyChunk(chunk) {
+    if (chunk.metadata.chunk_type !== 'documentation') return false;
+    return this.chunkBody(chunk.content)
+      .split('\n')
+      .every(line => line.trim() === '' || /^#{1,6}\s/.test(line));
+  }
+
+  /**
+   * Chunk text without the page context header
+   */
+  chunkBody(content) {
+    const headerEnd = content.indexOf('\n\n');
+    return content.startsWith('# ') && headerEnd !== -1 ? content.slice(headerEnd + 2) : content;
+  }
+
+  /**
+   * MinHash signature over word shingles
+   */
+  minhash(text) {
+    const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+    const shingleCount = Math.max(1, words.length - this.shingleSize + 1);
+    const signature = new Array(this.numHashes).fill(0xffffffff);
+
+    for (let i = 0; i < shingleCount; i++) {
+      const base = this.hashString(words.slice(i, i + this.shingleSize).join(' '));
+      for (let h = 0; h < this.numHashes; h++) {
+        const value = this.mix(base ^ this.seeds[h]);
+        if (value < signature[h]) signature[h] = value;
+      }
+    }
+
+    return signature;
+  }
+
+  /**
+   * Share of equal signature slots (estimated Jaccard similarity)
+   */
+  similarity(a, b) {
+    let equal = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] === b[i]) equal++;
+    }
+    return equal / a.length;
+  }
+
+  /**
+   * 32-bit FNV-1a
+   */
+  hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Murmur3 finalizer, one independent hash per seed
+   */
+  mix(value) {
+    let h = value >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+  }
+
+  /**
+   * Deterministic per-hash seeds so signatures are stable between runs
+   */
+  createSeeds(count) {
+    return Array.from({ length: count }, (_, i) =>
+      crypto.createHash('md5').update(`minhash_${i}`).digest().readUInt32LE(0));
+  }
+}
+
+module.exports = ChunkDeduplicator;
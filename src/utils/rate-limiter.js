@@ -0,0 +1,227 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Raised when a request would exceed the daily quota (RATE_LIMIT_ON_DAILY=stop)
+ */
+class DailyQuotaExceededError extends Error {
+  constructor(message, name, resetAt) {
+    super(message);
+    this.name = 'DailyQuotaExceededError';
+    this.limiter = name;
+    this.resetAt = resetAt;
+  }
+}
+
+/**
+ * Token-bucket rate limiter for requests/minute, tokens/minute and requests/day
+ * Daily usage is persisted per limiter name so restarts don't reset the quota.
+ * Budgets left unset are not enforced, so an unconfigured limiter is a no-op.
+ */
+class RateLimiter {
+  constructor(config = {}) {
+    this.name = config.name || 'default';
+    this.requestsPerMinute = config.requestsPerMinute || null;
+    this.tokensPerMinute = config.tokensPerMinute || null;
+    this.requestsPerDay = config.requestsPerDay || null;
+    // stop: throw DailyQuotaExceededError, wait: pause until the quota resets
+    this.onDailyLimit = config.onDailyLimit || process.env.RATE_LIMIT_ON_DAILY || 'stop';
+    // Quotas reset at midnight Pacific time for Google APIs
+    this.timeZone = config.timeZone || process.env.RATE_LIMIT_TIMEZONE || 'America/Los_Angeles';
+    this.statePath = config.statePath || path.join(
+      config.stateDir || process.env.RATE_LIMIT_DIR || path.join(process.cwd(), 'data', 'cache', 'rate-limits'),
+      `${this.name}.json`
+    );
+
+    // Buckets start full and refill continuously
+    this.buckets = { requests: this.requestsPerMinute, tokens: this.tokensPerMinute };
+    this.lastRefill = Date.now();
+    this.daily = { day: this.today(), requests: 0 };
+    // Acquisitions run one at a time so concurrent callers can't overdraw a bucket
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Wait until a request costing this many tokens fits every budget, then spend it
+   */
+  acquire(tokens = 0) {
+    const acquisition = this.queue.then(() => this.take(tokens));
+    this.queue = acquisition.catch(() => {});
+    return acquisition;
+  }
+
+  /**
+   * Spend one request (called through the acquire queue)
+   */
+  async take(tokens) {
+    // Charged at its real size, such a request could never fit the per-minute budget
+    if (this.tokensPerMinute && tokens > this.tokensPerMinute) {
+      throw new Error(`${this.name}: request of ${tokens} tokens exceeds the ${this.tokensPerMinute} tokens/minute limit`);
+    }
+
+    if (this.requestsPerDay) {
+      await this.waitForDailyQuota();
+    }
+
+    const tokenCost = this.tokensPerMinute ? tokens : 0;
+
+    for (;;) {
+      this.refill();
+      const wait = Math.max(
+        this.waitTime(this.buckets.requests, 1, this.requestsPerMinute),
+        this.waitTime(this.buckets.tokens, tokenCost, this.tokensPerMinute)
+      );
+      if (wait <= 0) break;
+
+      if (wait >= 1000) {
+        console.log(`   ⏳ ${this.name}: per-minute limit reached, waiting ${Math.ceil(wait / 1000)}s...`);
+      }
+      await this.sleep(wait);
+    }
+
+    if (this.requestsPerMinute) this.buckets.requests -= 1;
+    if (this.tokensPerMinute) this.buckets.tokens -= tokenCost;
+
+    if (this.requestsPerDay) {
+      this.daily.requests++;
+      await this.saveState();
+    }
+  }
+
+  /**
+   * Empty the per-minute buckets after the API answered 429, so the next requests wait
+   */
+  drain() {
+    this.refill();
+    if (this.requestsPerMinute) this.buckets.requests = 0;
+    if (this.tokensPerMinute) this.buckets.tokens = 0;
+  }
+
+  /**
+   * Add what the buckets earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    const elapsed = now - this.lastRefill;
+    this.lastRefill = now;
+
+    if (this.requestsPerMinute) {
+      this.buckets.requests = Math.min(this.requestsPerMinute,
+        this.buckets.requests + elapsed * this.requestsPerMinute / 60000);
+    }
+    if (this.tokensPerMinute) {
+      this.buckets.tokens = Math.min(this.tokensPerMinute,
+        this.buckets.tokens + elapsed * this.tokensPerMinute / 60000);
+    }
+  }
+
+  /**
+   * Milliseconds until a bucket holds cost (0 when it already does or has no limit)
+   */
+  waitTime(level, cost, perMinute) {
+    if (!perMinute || level >= cost) return 0;
+    return Math.ceil((cost - level) * 60000 / perMinute);
+  }
+
+  /**
+   * Stop or pause when today's requests are used up
+   */
+  async waitForDailyQuota() {
+    for (;;) {
+      await this.loadState();
+      if (this.daily.requests < this.requestsPerDay) return;
+
+      const resetAt = new Date(Date.now() + this.msUntilReset());
+      const message = `Daily quota for ${this.name} reached (${this.daily.requests}/${this.requestsPerDay} requests); resets at ${resetAt.toISOString()}`;
+
+      if (this.onDailyLimit !== 'wait') {
+        throw new DailyQuotaExceededError(message, this.name, resetAt.toISOString());
+      }
+
+      console.log(`   🛑 ${message} - pausing`);
+      // Re-check at least every 10 minutes (another process may share the state file)
+      await this.sleep(Math.min(this.msUntilReset() + 1000, 600000));
+    }
+  }
+
+  /**
+   * Requests used today and the remaining daily budget
+   */
+  async status() {
+    await this.loadState();
+    return {
+      name: this.name,
+      day: this.daily.day,
+      requests: this.daily.requests,
+      requestsPerDay: this.requestsPerDay,
+      remaining: this.requestsPerDay ? Math.max(0, this.requestsPerDay - this.daily.requests) : null
+    };
+  }
+
+  /**
+   * Read today's usage from disk (a new day starts at zero)
+   */
+  async loadState() {
+    const today = this.today();
+
+    try {
+      const state = JSON.parse(await fs.readFile(this.statePath, 'utf8'));
+      this.daily = state.day === today
+        ? { day: today, requests: Math.max(state.requests || 0, this.daily.day === today ? this.daily.requests : 0) }
+        : { day: today, requests: 0 };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`   ⚠️ Could not read rate limit state ${this.statePath}: ${error.message}`);
+      }
+      if (this.daily.day !== today) this.daily = { day: today, requests: 0 };
+    }
+  }
+
+  /**
+   * Write today's usage (temp file, then rename)
+   */
+  async saveState() {
+    const tempPath = `${this.statePath}.${process.pid}.tmp`;
+
+    try {
+      await fs.mkdir(path.dirname(this.statePath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify({
+        name: this.name,
+        day: this.daily.day,
+        requests: this.daily.requests,
+        requestsPerDay: this.requestsPerDay,
+        updatedAt: new Date().toISOString()
+      }, null, 2));
+      await fs.rename(tempPath, this.statePath);
+    } catch (error) {
+      console.warn(`   ⚠️ Could not save rate limit state ${this.statePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Current quota day (YYYY-MM-DD in the quota time zone)
+   */
+  today() {
+    return new Date().toLocaleDateString('en-CA', { timeZone: this.timeZone });
+  }
+
+  /**
+   * Milliseconds until midnight in the quota time zone
+   */
+  msUntilReset() {
+    const now = new Date();
+    const [hours, minutes, seconds] = now
+      .toLocaleTimeString('en-GB', { timeZone: this.timeZone, hour12: false })
+      .split(':')
+      .map(Number);
+    const elapsed = ((hours % 24) * 3600 + minutes * 60 + seconds) * 1000 + now.getMilliseconds();
+    return 86400000 - elapsed;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = RateLimiter;
+module.exports.DailyQuotaExceededError = DailyQuotaExceededError;
@@ -0,0 +1,132 @@
+require('dotenv').config();
+const path = require('path');
+
+/**
+ * Share of a token limit estimated counts may use (the heuristic undercounts by up to ~15%)
+ */
+const ESTIMATE_HEADROOM = 0.85;
+
+/**
+ * Gemini tokenizer, loaded once per process (large vocabulary)
+ */
+let geminiTokenizer = null;
+
+/**
+ * Token sizing shared by the chunker, embedding generator and Supabase migrator
+ *
+ * Strategies:
+ * - heuristic (default): estimate over word/number/symbol pieces. Measured against the
+ *   Gemini tokenizer it overcounts Markdown docs and JS/Apps Script code by 20-30%
+ *   (identifier-heavy text and CJK up to 2x) and undercounts long digit runs and
+ *   random ids/base64 by up to 15%; limits keep ESTIMATE_HEADROOM for that
+ * - chars: legacy chars/4 estimate (same headroom)
+ * - gemini: exact counts from the Gemini tokenizer (npm install @lenml/tokenizer-gemini)
+ * - module: TOKENIZER_MODULE exporting count(text) (or { count }) for another exact tokenizer
+ */
+class Tokenizer {
+  constructor(config = {}) {
+    this.strategy = config.strategy || process.env.TOKENIZER || 'heuristic';
+    this.countFn = config.count || this.loadCountFn(config.module || process.env.TOKENIZER_MODULE);
+    if (!this.countFn && this.strategy === 'gemini') {
+      this.countFn = this.loadGeminiCount();
+    }
+
+    if (!this.countFn && !['heuristic', 'chars'].includes(this.strategy)) {
+      throw new Error(`Unknown tokenizer strategy: ${this.strategy} (use heuristic, chars, gemini or TOKENIZER_MODULE)`);
+    }
+
+    // Estimated counts only get part of a limit; exact counts get all of it
+    this.exact = Boolean(this.countFn);
+    this.headroom = this.exact ? 1 : ESTIMATE_HEADROOM;
+    // gemini-embedding-001 accepts up to 2048 input tokens
+    this.maxInputTokens = config.maxInputTokens || parseInt(process.env.EMBEDDING_MAX_TOKENS) ||
+      Math.floor(2048 * this.headroom);
+  }
+
+  /**
+   * Count function backed by the Gemini tokenizer package
+   */
+  loadGeminiCount() {
+    if (!geminiTokenizer) {
+      let tokenizerPackage;
+      try {
+        tokenizerPackage = require('@lenml/tokenizer-gemini');
+      } catch {
+        throw new Error('TOKENIZER=gemini needs the tokenizer package: npm install @lenml/tokenizer-gemini');
+      }
+      geminiTokenizer = tokenizerPackage.fromPreTrained();
+    }
+
+    return text => geminiTokenizer.encode(text, { add_special_tokens: false }).length;
+  }
+
+  /**
+   * Load a custom count function from a module path
+   */
+  loadCountFn(modulePath) {
+    if (!modulePath) return null;
+
+    const loaded = require(path.resolve(process.cwd(), modulePath));
+    const count = typeof loaded === 'function' ? loaded : loaded.count;
+    if (typeof count !== 'function') {
+      throw new Error(`Tokenizer module ${modulePath} must export count(text)`);
+    }
+
+    this.strategy = 'module';
+    return count;
+  }
+
+  /**
+   * Number of tokens in text
+   */
+  count(text) {
+    if (!text) return 0;
+    if (this.countFn) return this.countFn(text);
+    if (this.strategy === 'chars') return Math.ceil(text.length / 4);
+
+    // Words cost ~1 token per 4 letters and every symbol/CJK char is its own token;
+    // digits are one token each and letters mixed with digits (ids, hashes) ~1 per 2
+    let tokens = 0;
+    const pieces = text.match(/[A-Za-z\d]+|[^\sA-Za-z\d]/g) || [];
+    pieces.forEach(piece => {
+      if (/^[A-Za-z]+$/.test(piece)) {
+        tokens += Math.ceil(piece.length / 4);
+      } else if (/^[A-Za-z\d]+$/.test(piece)) {
+        const digits = piece.replace(/\D/g, '').length;
+        tokens += digits + Math.ceil((piece.length - digits) / 2);
+      } else {
+        tokens += 1;
+      }
+    });
+    return tokens;
+  }
+
+  /**
+   * Whether text fits in a token budget (model input limit by default)
+   */
+  fits(text, maxTokens = this.maxInputTokens) {
+    return this.count(text) <= maxTokens;
+  }
+
+  /**
+   * Cut text to at most maxTokens, preferring a whitespace boundary
+   */
+  truncate(text, maxTokens = this.maxInputTokens) {
+    if (this.fits(text, maxTokens)) return text;
+
+    // Binary search the longest prefix that fits
+    let low = 0;
+    let high = text.length;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (this.count(text.slice(0, mid)) <= maxTokens) low = mid;
+      else high = mid - 1;
+    }
+
+    const prefix = text.slice(0, low);
+    const boundary = prefix.search(/\s\S*$/);
+    return (boundary > low * 0.8 ? prefix.slice(0, boundary) : prefix).trimEnd();
+  }
+}
+
+module.exports = Tokenizer;
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const ApiGraph = require('../src/graph/api-graph');
+const { withTempDir } = require('./helpers');
+
+const BASE = 'https://developers.google.com/apps-script/reference';
+
+const classPage = (service, name, methods) => ({
+  url: `${BASE}/${service}/${name.toLowerCase()}`,
+  title: `Class ${name}`,
+  component_type: 'Class',
+  methods: methods.map(([signature, returnType, parameters = []]) => ({
+    signature,
+    return_type: returnType,
+    parameters: parameters.map(([paramName, type]) => ({ param_name: paramName, type }))
+  }))
+});
+
+const spreadsheetPages = [
+  classPage('spreadsheet', 'SpreadsheetApp', [['getActiveSpreadsheet()', 'Spreadsheet']]),
+  classPage('spreadsheet', 'Spreadsheet', [['getSheets()', 'Sheet[]']]),
+  classPage('spreadsheet', 'Sheet', [
+    ['getRange(a1Notation)', 'Range', [['a1Notation', 'String']]],
+    ['getCharts()', 'EmbeddedChart[]'],
+    ['insertImage(blobSource, column, row)', 'OverGridImage', [['blobSource', 'BlobSource'], ['column', 'Integer'], ['row', 'Integer']]]
+  ]),
+  classPage('spreadsheet', 'EmbeddedChart', [['getAs(contentType)', 'Blob', [['contentType', 'String']]]])
+];
+
+test('fromPages indexes classes, return types and parameter types', () => {
+  const graph = ApiGraph.fromPages(spreadsheetPages);
+
+  assert.strictEqual(graph.types.Sheet.service, 'spreadsheet');
+  assert.deepStrictEqual(graph.whatReturns('range').map(method => method.id), ['Sheet.getRange(a1Notation)']);
+  assert.deepStrictEqual(graph.whichAccept('BlobSource').map(method => method.name), ['insertImage']);
+});
+
+test('findPath returns the shortest method chain', () => {
+  const graph = ApiGraph.fromPages(spreadsheetPages);
+
+  assert.deepStrictEqual(graph.findPath('SpreadsheetApp', 'Range').map(step => step.method), [
+    'getActiveSpreadsheet()', 'getSheets()', 'getRange(a1Notation)'
+  ]);
+  assert.deepStrictEqual(graph.findPath('Sheet', 'Sheet'), []);
+  assert.strictEqual(graph.findPath('Range', 'Sheet'), null);
+});
+
+test('findPath falls back to suffix matches only without an exact type', () => {
+  // No Chart type: "Chart" reaches EmbeddedChart
+  const suffixOnly = ApiGraph.fromPages(spreadsheetPages);
+  assert.strictEqual(suffixOnly.findPath('SpreadsheetApp', 'Chart').pop().to, 'EmbeddedChart');
+
+  // Charts.Chart exists but can't be reached from SpreadsheetApp, so there is no path
+  const withChart = ApiGraph.fromPages([
+    ...spreadsheetPages,
+    classPage('charts', 'Charts', [['newAreaChart()', 'EmbeddedAreaChartBuilder']]),
+    classPage('charts', 'Chart', [['getId()', 'String']])
+  ]);
+  assert.strictEqual(withChart.findPath('SpreadsheetApp', 'Chart'), null);
+});
+
+test('save and load round-trip the graph', () => withTempDir('api-graph', async dir => {
+  const filePath = path.join(dir, 'api_graph.json');
+  await ApiGraph.fromPages(spreadsheetPages).save(filePath);
+
+  const loaded = await ApiGraph.load(filePath);
+  assert.deepStrictEqual(loaded.findPath('Spreadsheet', 'Range').map(step => step.to), ['Sheet', 'Range']);
+}));
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const DocumentChunker = require('../src/utils/chunker');
+
+const FOOTER = 'Send feedback about this page. Join the developer community to ask questions and share what you built.';
+
+const SHARED = [
+  'Triggers run a function automatically when a spreadsheet is opened or edited by a user.',
+  'Simple triggers such as onOpen and onEdit need no authorization, but they cannot call services',
+  'that require it, run for at most thirty seconds and do not fire for changes made by scripts.',
+  'Installable triggers are created from the script editor or with ScriptApp and run with the',
+  'authorization of the user who created them, so they can send email, open other files and call',
+  'external services on a schedule or in response to form submissions and calendar updates.'
+].join(' ');
+
+const pages = Array.from({ length: 6 }, (_, i) => ({
+  url: `https://developers.google.com/apps-script/guides/page-${i}`,
+  title: `Guide ${i}`,
+  markdown: [
+    `# Guide ${i}`,
+    '',
+    // Pages 4 and 5 share the same body, so one is a near-duplicate
+    i >= 4
+      ? SHARED
+      : `Guide ${i} covers topic number ${i} with its own distinct explanation and examples.`,
+    '',
+    FOOTER,
+    ''
+  ].join('\n')
+}));
+
+const chunk = (options = {}) => new DocumentChunker({ pageSummaries: false }).processPages(pages, options);
+
+test('boilerplate repeated across pages is stripped', () => {
+  const { chunks, stats } = chunk();
+
+  assert.ok(chunks.every(c => !c.content.includes('Send feedback about this page')));
+  assert.ok(stats.dedupe.boilerplateParagraphs > 0);
+});
+
+test('near-duplicate chunks are dropped and listed on the kept chunk', () => {
+  const { chunks } = chunk();
+  const kept = chunks.filter(c => c.content.includes('Triggers run a function'));
+
+  assert.strictEqual(kept.length, 1);
+  assert.deepStrictEqual(kept[0].metadata.duplicate_urls, [pages[5].url]);
+});
+
+test('an incremental run keeps the same chunks as a full run for the selected pages', () => {
+  const urls = [pages[1].url, pages[5].url];
+  const full = chunk().chunks.filter(c => urls.includes(c.metadata.source_url));
+  const incremental = chunk({ urls });
+
+  assert.deepStrictEqual(
+    incremental.chunks.map(c => [c.id, c.content]),
+    full.map(c => [c.id, c.content])
+  );
+  assert.strictEqual(incremental.stats.totalPages, 2);
+});
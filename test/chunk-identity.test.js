@@ -0,0 +1,192 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const DocumentChunker = require('../src/utils/chunker');
+const CrawlManifest = require('../src/scraper/crawl-manifest');
+const StaleChunkStore = require('../src/storage/stale-chunks');
+const SupabaseMigrator = require('../src/storage/supabase-migrator');
+const { DailyQuotaExceededError } = require('../src/utils/rate-limiter');
+const { withTempDir, createGenerator, embedWhere } = require('./helpers');
+
+const URL = 'https://developers.google.com/apps-script/guides/example';
+
+function chunkPage(sections) {
+  const markdown = ['# Guide', '', 'Intro text about the guide.', '']
+    .concat(sections.flatMap(([heading, body]) => [`## ${heading}`, '', body, '']))
+    .join('\n');
+  const chunker = new DocumentChunker({ pageSummaries: false });
+  const { chunks } = chunker.processPages([{ url: URL, title: 'Guide', markdown }]);
+  return { chunker, chunks };
+}
+
+const idsByHeading = chunks => Object.fromEntries(
+  chunks.map(chunk => [chunk.metadata.heading_path.join(' > '), chunk.id])
+);
+
+test('chunks record their reading position while chunk_index stays 0', () => {
+  const { chunks } = chunkPage([
+    ['Alpha', 'Alpha explains the first step in detail.'],
+    ['Beta', 'Beta explains the second step in detail.']
+  ]);
+
+  assert.deepStrictEqual(chunks.map(chunk => chunk.metadata.page_position), chunks.map((_, i) => i));
+  assert.ok(chunks.every(chunk => chunk.chunk_index === 0));
+  assert.deepStrictEqual(
+    chunks.map(chunk => chunk.metadata.heading_path.join(' > ')),
+    ['Guide', 'Guide > Alpha', 'Guide > Beta']
+  );
+});
+
+test('inserting a section keeps the ids of the other chunks', () => {
+  const before = idsByHeading(chunkPage([
+    ['Alpha', 'Alpha explains the first step in detail.'],
+    ['Beta', 'Beta explains the second step in detail.']
+  ]).chunks);
+  const after = idsByHeading(chunkPage([
+    ['Setup', 'Setup explains what to install first.'],
+    ['Alpha', 'Alpha explains the first step in detail.'],
+    ['Beta', 'Beta explains the second step in detail.']
+  ]).chunks);
+
+  assert.strictEqual(after['Guide > Alpha'], before['Guide > Alpha']);
+  assert.strictEqual(after['Guide > Beta'], before['Guide > Beta']);
+  assert.ok(!Object.values(before).includes(after['Guide > Setup']));
+});
+
+test('diffChunks reports added, changed and removed chunk ids', () => {
+  const previous = chunkPage([
+    ['Alpha', 'Alpha explains the first step in detail.'],
+    ['Beta', 'Beta explains the second step in detail.']
+  ]);
+  const current = chunkPage([
+    ['Beta', 'Beta now explains the second step differently.'],
+    ['Gamma', 'Gamma explains the third step in detail.']
+  ]);
+  const before = idsByHeading(previous.chunks);
+  const after = idsByHeading(current.chunks);
+
+  const { pages, totals } = current.chunker.diffChunks(
+    previous.chunker.indexChunks(previous.chunks), current.chunks, [URL]
+  );
+
+  assert.deepStrictEqual(pages[URL].added, [after['Guide > Gamma']]);
+  assert.deepStrictEqual(pages[URL].changed, [{ id: after['Guide > Beta'], previousId: before['Guide > Beta'] }]);
+  assert.deepStrictEqual(pages[URL].removed, [before['Guide > Alpha']]);
+  assert.deepStrictEqual(totals, { added: 1, changed: 1, removed: 1, unchanged: 1 });
+});
+
+test('stale ids wait for all of their replacements', () => {
+  const store = new StaleChunkStore();
+  store.add([
+    { id: 'old-beta', replacedBy: ['new-beta'] },
+    { id: 'old-removed', replacedBy: ['new-alpha', 'new-beta'] },
+    { id: 'dropped-page', replacedBy: [] }
+  ]);
+
+  assert.deepStrictEqual(store.deletable([]), ['dropped-page']);
+  assert.deepStrictEqual(store.deletable(['new-beta']), ['old-beta', 'dropped-page']);
+  assert.deepStrictEqual(store.deletable(['new-alpha', 'new-beta']), ['old-beta', 'old-removed', 'dropped-page']);
+  // An id that is part of the upload is never deleted
+  assert.deepStrictEqual(store.deletable(['dropped-page']), []);
+});
+
+test('a replacement that goes stale hands its role to its own replacement', () => {
+  const store = new StaleChunkStore();
+  store.add([{ id: 'v1', replacedBy: ['v2'] }]);
+  store.add([{ id: 'v2', replacedBy: ['v3'] }]);
+
+  assert.deepStrictEqual(store.deletable(['v2']), []);
+  assert.deepStrictEqual(store.deletable(['v3']), ['v1', 'v2']);
+});
+
+/**
+ * Migrator whose deletes are recorded (or fail with error)
+ */
+function createMigrator(stalePath, error = null) {
+  const migrator = new SupabaseMigrator('http://localhost:54321', 'test-key', { stalePath, batchSize: 1 });
+  migrator.deleted = [];
+  migrator.supabase = {
+    from: table => ({
+      delete: () => ({
+        in: async (column, ids) => {
+          if (!error) migrator.deleted.push({ table, column, ids });
+          return { error };
+        }
+      })
+    })
+  };
+  return migrator;
+}
+
+test('the migrator deletes only stale rows whose replacements it uploaded', () => withTempDir('stale', async dir => {
+  const stalePath = path.join(dir, 'stale_chunks.json');
+  const store = new StaleChunkStore({ stalePath });
+  store.add([
+    { id: 'old-1', replacedBy: ['new-1'] },
+    { id: 'old-2', replacedBy: ['new-2'] },
+    { id: 'dropped', replacedBy: [] }
+  ]);
+  await store.save();
+
+  const migrator = createMigrator(stalePath);
+  await migrator.deleteStaleChunks([{ id: 'new-1' }]);
+
+  assert.deepStrictEqual(migrator.deleted, [
+    { table: 'document_chunks', column: 'document_id', ids: ['old-1'] },
+    { table: 'document_chunks', column: 'document_id', ids: ['dropped'] }
+  ]);
+  assert.strictEqual(migrator.stats.deleted, 2);
+  assert.deepStrictEqual((await new StaleChunkStore({ stalePath }).load()).list(), ['old-2']);
+}));
+
+test('a failed delete leaves the ids queued', () => withTempDir('stale', async dir => {
+  const stalePath = path.join(dir, 'stale_chunks.json');
+  const store = new StaleChunkStore({ stalePath });
+  store.add([{ id: 'old-1', replacedBy: [] }]);
+  await store.save();
+
+  const migrator = createMigrator(stalePath, { message: 'permission denied' });
+  await migrator.deleteStaleChunks([]);
+
+  assert.strictEqual(migrator.stats.deleted, 0);
+  assert.deepStrictEqual((await new StaleChunkStore({ stalePath }).load()).list(), ['old-1']);
+}));
+
+test('embedding runs queue replaced ids only once they complete', () => withTempDir('stale', async dir => {
+  const cwd = process.cwd();
+  process.chdir(dir);
+  try {
+    const inputPath = path.join(dir, 'crawl_1.json');
+    const stalePath = path.join(dir, 'stale_chunks.json');
+    const manifest = new CrawlManifest({ manifestPath: path.join(dir, 'manifest.json') });
+    const run = async (generator, sections) => {
+      const markdown = ['# Guide', '', 'Intro text about the guide.', '']
+        .concat(sections.flatMap(([heading, body]) => [`## ${heading}`, '', body, '']))
+        .join('\n');
+      await fs.writeFile(inputPath, JSON.stringify([{ url: URL, title: 'Guide', markdown }]));
+      return generator.processData(inputPath, { manifest, stalePath });
+    };
+
+    await run(createGenerator(embedWhere(() => true)), [['Beta', 'Beta explains the second step in detail.']]);
+    const firstIds = Object.values(manifest.chunkIndex()[URL]);
+
+    // Stopped at the daily quota: nothing queued although Beta changed
+    const stopped = createGenerator(embedWhere(() => true));
+    stopped.rateLimiter.acquire = async () => {
+      throw new DailyQuotaExceededError('Daily quota reached', 'test', new Date().toISOString());
+    };
+    const changed = [['Beta', 'Beta now explains the second step differently.']];
+    assert.ok((await run(stopped, changed)).quotaExceeded);
+    assert.deepStrictEqual((await new StaleChunkStore({ stalePath }).load()).list(), []);
+
+    const completed = await run(createGenerator(embedWhere(() => true)), changed);
+    const { id: newBeta, previousId } = completed.chunkChanges.pages[URL].changed[0];
+    const store = await new StaleChunkStore({ stalePath }).load();
+    assert.ok(firstIds.includes(previousId));
+    assert.deepStrictEqual(store.list(), [previousId]);
+    assert.deepStrictEqual(store.entries[previousId].replacedBy, [newBeta]);
+  } finally {
+    process.chdir(cwd);
+  }
+}));
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const DocumentChunker = require('../src/utils/chunker');
+
+const MAX_TOKENS = 60;
+const chunker = new DocumentChunker({ chunkSize: MAX_TOKENS, overlap: 10 });
+
+const withinCap = pieces => pieces.every(piece => chunker.tokenizer.count(piece) <= MAX_TOKENS);
+
+const code = ['```javascript']
+  .concat(Array.from({ length: 40 }, (_, i) => `const value${i} = sheet.getRange('A${i + 1}').getValue();`))
+  .concat('```')
+  .join('\n');
+
+const table = ['| Method | Return type | Description |', '|---|---|---|']
+  .concat(Array.from({ length: 40 }, (_, i) => `| getValue${i}() | Object | Returns value number ${i} of the range. |`))
+  .join('\n');
+
+test('splitCodeBlock keeps the fence on every piece of oversized code', () => {
+  const pieces = chunker.splitCodeBlock(`${code}\n`, MAX_TOKENS);
+
+  assert.ok(pieces.length > 1);
+  pieces.forEach(piece => {
+    assert.ok(piece.text.startsWith('```javascript\n'));
+    assert.ok(piece.text.endsWith('\n```\n'));
+    assert.ok(piece.tokens <= MAX_TOKENS);
+  });
+  assert.strictEqual(
+    pieces.map(piece => piece.text.split('\n').slice(1, -2).join('\n')).join('\n'),
+    code.split('\n').slice(1, -1).join('\n')
+  );
+});
+
+test('splitTable repeats the header on every piece of an oversized table', () => {
+  const pieces = chunker.splitTable(`${table}\n`, MAX_TOKENS);
+  const header = table.split('\n').slice(0, 2).join('\n');
+
+  assert.ok(pieces.length > 1);
+  pieces.forEach(piece => {
+    assert.ok(piece.text.startsWith(`${header}\n`));
+    assert.ok(piece.tokens <= MAX_TOKENS);
+  });
+  assert.strictEqual(
+    pieces.flatMap(piece => piece.text.trim().split('\n').slice(2)).length,
+    40
+  );
+});
+
+test('code and tables that fit stay one atomic piece', () => {
+  const small = '```js\nSpreadsheetApp.flush();\n```\n';
+
+  assert.deepStrictEqual(chunker.splitCodeBlock(small, MAX_TOKENS).map(piece => piece.text), [small]);
+  assert.strictEqual(chunker.splitTable('| A | B |\n|---|---|\n| 1 | 2 |\n', MAX_TOKENS).length, 1);
+});
+
+test('splitLargeText caps oversized code, table and prose sections', () => {
+  const prose = Array.from({ length: 30 }, (_, i) => `Sentence ${i} describes how triggers run scripts.`).join(' ');
+  const text = `## Example\n\n${prose}\n\n${code}\n\n${table}\n\nClosing words.`;
+
+  const pieces = chunker.splitLargeText(text, MAX_TOKENS);
+
+  assert.ok(withinCap(pieces));
+  // Every code piece is a complete fence, every table piece starts with the header
+  pieces.filter(piece => piece.includes('const value')).forEach(piece => {
+    assert.strictEqual((piece.match(/```/g) || []).length % 2, 0);
+  });
+  pieces.filter(piece => piece.includes('| getValue')).forEach(piece => {
+    assert.ok(piece.includes('| Method | Return type | Description |'));
+  });
+  assert.ok(pieces[pieces.length - 1].endsWith('Closing words.'));
+});
+
+test('splitLargeText hard-cuts prose without any boundary', () => {
+  const pieces = chunker.splitLargeText('x'.repeat(2000), MAX_TOKENS);
+
+  assert.ok(pieces.length > 1);
+  assert.ok(withinCap(pieces));
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const DocumentChunker = require('../src/utils/chunker');
+
+const page = {
+  url: 'https://developers.google.com/apps-script/reference/card-service',
+  title: 'Card Service',
+  markdown: '# Card Service\n\nThis service lets scripts build cards for Workspace add-ons.\n'
+};
+
+const summaryChunks = pageSummaries => new DocumentChunker({ pageSummaries })
+  .processPages([page]).chunks
+  .filter(chunk => chunk.metadata.chunk_type === 'page_summary');
+
+test('PAGE_SUMMARIES accepts booleans and strings', () => {
+  const chunker = new DocumentChunker();
+
+  [false, 'false', 'OFF', 'none', '0', ''].forEach(value => {
+    assert.strictEqual(chunker.parseSummaryMode(value), false, `${JSON.stringify(value)}`);
+  });
+  [true, 'true', 'structured', ' Structured '].forEach(value => {
+    assert.strictEqual(chunker.parseSummaryMode(value), 'structured', `${JSON.stringify(value)}`);
+  });
+  assert.strictEqual(chunker.parseSummaryMode('llm'), 'llm');
+  assert.throws(() => chunker.parseSummaryMode('sometimes'), /Unknown PAGE_SUMMARIES mode/);
+});
+
+test('pageSummaries: false skips summary chunks', () => {
+  assert.strictEqual(summaryChunks(false).length, 0);
+  assert.strictEqual(summaryChunks('structured').length, 1);
+});
+
+test('fixed-window chunking skips property tables when asked', () => {
+  const chunker = new DocumentChunker({ strategy: 'fixed' });
+  const markdown = [
+    '# Enum Color', '', 'Colors available to charts.', '',
+    '## Properties', '', '| Property | Type | Description |', '|---|---|---|', '| RED | Enum | Red. |', '',
+    '## Usage', '', 'Pass a color to setColor.'
+  ].join('\n');
+  const chunk = options => chunker.strategies.fixed.chunk(markdown, { url: page.url, pageContext: 'Enum Color', title: 'Enum Color', options });
+
+  assert.ok(chunk({}).some(piece => piece.content.includes('| RED |')));
+  const skipped = chunk({ skipPropertyTables: true });
+  assert.ok(skipped.every(piece => !piece.content.includes('| Property |')));
+  assert.ok(skipped.some(piece => piece.content.includes('Pass a color to setColor.')));
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const CrawlManifest = require('../src/scraper/crawl-manifest');
+const { withTempDir } = require('./helpers');
+
+const page = (url, markdown, extra = {}) => ({ url, title: url, markdown, ...extra });
+
+test('diff sorts pages into added, modified, unchanged and removed', () => {
+  const manifest = new CrawlManifest();
+  manifest.update([page('/a', 'A'), page('/b', 'B'), page('/c', 'C')]);
+
+  const changes = manifest.diff([page('/a', 'A'), page('/b', 'B changed'), page('/d', 'D')]);
+
+  assert.deepStrictEqual(changes, {
+    added: ['/d'],
+    modified: ['/b'],
+    unchanged: ['/a'],
+    removed: ['/c']
+  });
+});
+
+test('hash covers title, markdown and extracted methods', () => {
+  const manifest = new CrawlManifest();
+  const base = page('/a', 'A', { methods: [{ name: 'getRange' }] });
+
+  assert.strictEqual(manifest.hashPage(base), manifest.hashPage({ ...base }));
+  assert.notStrictEqual(manifest.hashPage(base), manifest.hashPage({ ...base, title: 'Other' }));
+  assert.notStrictEqual(manifest.hashPage(base), manifest.hashPage({ ...base, methods: [] }));
+});
+
+test('update drops removed pages and save/load round-trips', () => withTempDir('manifest', async dir => {
+  const manifestPath = path.join(dir, 'manifest.json');
+  const manifest = new CrawlManifest({ manifestPath });
+  manifest.update([page('/a', 'A'), page('/b', 'B')]);
+  manifest.update([], ['/b']);
+  await manifest.save();
+
+  const loaded = await new CrawlManifest({ manifestPath }).load();
+  assert.deepStrictEqual(Object.keys(loaded.pages), ['/a']);
+  assert.deepStrictEqual(loaded.diff([page('/a', 'A')]).unchanged, ['/a']);
+}));
+
+test('a missing manifest file treats every page as added', async () => {
+  const manifest = await new CrawlManifest({ manifestPath: path.join(os.tmpdir(), 'missing', 'manifest.json') }).load();
+
+  assert.deepStrictEqual(manifest.diff([page('/a', 'A')]).added, ['/a']);
+});
+
+test('diff only reports removals for the crawled targets', () => {
+  const manifest = new CrawlManifest();
+  manifest.update([
+    page('/docs/a', 'A', { target: 'docs' }),
+    page('/docs/b', 'B', { target: 'docs' }),
+    page('/addons/c', 'C', { target: 'addons' })
+  ]);
+  const crawled = [page('/docs/a', 'A', { target: 'docs' })];
+
+  assert.deepStrictEqual(manifest.diff(crawled, { targets: ['docs'] }).removed, ['/docs/b']);
+  assert.deepStrictEqual(manifest.diff(crawled, { targets: [] }).removed, []);
+  assert.deepStrictEqual(manifest.diff(crawled).removed, ['/docs/b', '/addons/c']);
+});
@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const CrawlNormalizer = require('../src/scraper/crawl-normalizer');
+const { withTempDir } = require('./helpers');
+
+const URL = 'https://developers.google.com/apps-script/guides/triggers';
+
+const rawPage = {
+  markdown: '# Triggers\n\nRun functions automatically.\n',
+  metadata: { title: 'Triggers', sourceURL: `${URL}#installable` }
+};
+
+const processedPage = {
+  url: URL,
+  title: 'Triggers',
+  markdown: '# Triggers\n\nRun functions automatically.\n',
+  structured_data: { methods: [{ signature: 'newTrigger(functionName)' }] },
+  scrapeDate: '2024-01-01T00:00:00.000Z',
+  metadata: {}
+};
+
+test('detectVersion tells raw, processed and enveloped files apart', () => {
+  const normalizer = new CrawlNormalizer();
+
+  assert.strictEqual(normalizer.detectVersion([rawPage]), 0);
+  assert.strictEqual(normalizer.detectVersion([processedPage]), 1);
+  assert.strictEqual(normalizer.detectVersion([]), 1);
+  assert.strictEqual(normalizer.detectVersion(normalizer.wrap([])), CrawlNormalizer.SCHEMA_VERSION);
+});
+
+test('upgrade turns v0 and v1 files into valid v2 snapshots', () => {
+  const normalizer = new CrawlNormalizer();
+
+  const fromRaw = normalizer.upgrade([rawPage]);
+  assert.strictEqual(fromRaw.fromVersion, 0);
+  assert.strictEqual(fromRaw.snapshot.schemaVersion, 2);
+  assert.strictEqual(fromRaw.snapshot.upgradedFrom, 0);
+  assert.strictEqual(fromRaw.snapshot.pages[0].url, URL);
+  assert.strictEqual(fromRaw.snapshot.pages[0].title, 'Triggers');
+  assert.deepStrictEqual(normalizer.validate(fromRaw.snapshot), { valid: true, errors: [] });
+
+  const fromProcessed = normalizer.upgrade([processedPage]);
+  const page = fromProcessed.snapshot.pages[0];
+  assert.strictEqual(fromProcessed.fromVersion, 1);
+  assert.deepStrictEqual(page.methods, processedPage.structured_data.methods);
+  assert.deepStrictEqual(page.tags, []);
+  assert.strictEqual(page.deprecated, false);
+  assert.strictEqual(page.scrapeDate, processedPage.scrapeDate);
+  assert.deepStrictEqual(normalizer.validate(fromProcessed.snapshot), { valid: true, errors: [] });
+});
+
+test('upgrade leaves current snapshots alone and rejects newer ones', () => {
+  const normalizer = new CrawlNormalizer();
+  const snapshot = normalizer.wrap(normalizer.normalize([rawPage]));
+
+  assert.strictEqual(normalizer.upgrade(snapshot).snapshot, snapshot);
+  assert.throws(() => normalizer.upgrade({ schemaVersion: 3, pages: [] }), /newer than supported version 2/);
+});
+
+test('validate reports the index, url and problem of invalid pages', () => {
+  const normalizer = new CrawlNormalizer();
+  const valid = normalizer.normalizePage(rawPage);
+  const broken = { ...valid, url: 'https://example.com/broken', deprecated: 'no', methods: [{}] };
+
+  const { valid: ok, errors } = normalizer.validate(normalizer.wrap([valid, broken]));
+
+  assert.strictEqual(ok, false);
+  assert.deepStrictEqual(errors, [
+    { index: 1, url: 'https://example.com/broken', message: 'deprecated must be a boolean' },
+    { index: 1, url: 'https://example.com/broken', message: 'every method needs a signature' }
+  ]);
+  assert.deepStrictEqual(
+    normalizer.validate([valid]).errors.map(error => error.message),
+    ['schemaVersion must be 2', 'pages must be an array']
+  );
+});
+
+test('load drops invalid pages and upgradeFile keeps a backup', () => withTempDir('normalizer', async dir => {
+  const normalizer = new CrawlNormalizer();
+  const filePath = path.join(dir, 'crawl_1.json');
+  const original = JSON.stringify([processedPage, { ...processedPage, url: `${URL}/other`, title: 42 }]);
+  await fs.writeFile(filePath, original);
+
+  const pages = await normalizer.load(filePath);
+  assert.deepStrictEqual(pages.map(page => page.url), [URL]);
+
+  const { upgraded, fromVersion } = await normalizer.upgradeFile(filePath);
+  assert.strictEqual(upgraded, true);
+  assert.strictEqual(fromVersion, 1);
+  assert.strictEqual(await fs.readFile(`${filePath}.bak`, 'utf8'), original);
+  assert.strictEqual(JSON.parse(await fs.readFile(filePath, 'utf8')).schemaVersion, 2);
+  assert.strictEqual((await normalizer.upgradeFile(filePath)).upgraded, false);
+}));
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const FirecrawlCrawler = require('../src/scraper/crawler');
+const { withTempDir } = require('./helpers');
+
+test('fetchCrawlResults follows the next cursor until it runs out', async () => {
+  const crawler = new FirecrawlCrawler({ apiKey: 'test' });
+  const pages = {
+    'https://api/next/1': { data: [{ url: '/b' }], next: 'https://api/next/2' },
+    'https://api/next/2': { data: [{ url: '/c' }] }
+  };
+  const fetched = [];
+  crawler.getJsonWithBackoff = async url => {
+    fetched.push(url);
+    return pages[url];
+  };
+
+  const results = await crawler.fetchCrawlResults('job', {
+    data: [{ url: '/a' }], next: 'https://api/next/1', total: 3
+  });
+
+  assert.deepStrictEqual(results.map(page => page.url), ['/a', '/b', '/c']);
+  assert.deepStrictEqual(fetched, ['https://api/next/1', 'https://api/next/2']);
+});
+
+test('getJsonWithBackoff retries 429 responses only', async () => {
+  const crawler = new FirecrawlCrawler({ apiKey: 'test' });
+  crawler.sleep = async () => {};
+  let calls = 0;
+  crawler.getJson = async () => {
+    if (++calls < 3) throw new Error('Result page fetch failed: 429');
+    return { data: [] };
+  };
+
+  assert.deepStrictEqual(await crawler.getJsonWithBackoff('url', 'fetch'), { data: [] });
+  assert.strictEqual(calls, 3);
+
+  crawler.getJson = async () => { throw new Error('Result page fetch failed: 500'); };
+  await assert.rejects(crawler.getJsonWithBackoff('url', 'fetch'), /500/);
+});
+
+test('resume limits removal detection to the resumed targets', () => withTempDir('crawler', async dir => {
+  const crawler = new FirecrawlCrawler({ apiKey: 'test', jobsPath: path.join(dir, 'jobs.json') });
+  await crawler.jobStore.add('job-docs', { name: 'docs' });
+  await crawler.jobStore.add('job-addons', { name: 'addons' });
+
+  crawler.monitorCrawl = async id => [{ url: `/${id}` }];
+  crawler.processCrawlData = rawData => ({ data: rawData });
+  let finalized;
+  crawler.finalizeResults = async (data, options) => {
+    finalized = { data, options };
+    return {};
+  };
+
+  await crawler.resume('job-docs');
+  assert.deepStrictEqual(finalized.options.targets, ['docs']);
+  assert.deepStrictEqual(finalized.data.map(page => page.url), ['/job-docs']);
+  assert.deepStrictEqual((await crawler.jobStore.load()).list().map(job => job.id), ['job-addons']);
+
+  // A job whose target is unknown can't scope removals, so none are reported
+  await crawler.resume('untracked');
+  assert.deepStrictEqual(finalized.options.targets, []);
+}));
+
+test('monitorCrawl keeps partial results of a job cancelled elsewhere', () => withTempDir('crawler', async dir => {
+  const crawler = new FirecrawlCrawler({ apiKey: 'test', jobsPath: path.join(dir, 'jobs.json') });
+  await crawler.jobStore.add('job', { name: 'docs' });
+  crawler.displayProgress = () => {};
+  crawler.sleep = async () => { throw new Error('should not poll again'); };
+  crawler.checkCrawlStatus = async () => ({ status: 'cancelled', data: [{ url: '/a' }], total: 5 });
+  crawler.cancelCrawl = async () => { throw new Error('already cancelled'); };
+
+  const results = await crawler.monitorCrawl('job');
+
+  assert.deepStrictEqual(results.map(page => page.url), ['/a']);
+  assert.strictEqual(crawler.jobStore.get('job').status, 'cancelled');
+}));
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RateLimiter = require('../src/utils/rate-limiter');
+const { createGenerator, embedWhere } = require('./helpers');
+
+// One token per character keeps the budgets easy to follow
+const tokenizer = {
+  count: text => text.length,
+  fits: () => true,
+  truncate: text => text,
+  maxInputTokens: 1000,
+  headroom: 1
+};
+
+const vectorsFor = embedWhere(() => true);
+
+const createBatchGenerator = (respond, config = {}) => createGenerator(respond, { tokenizer, ...config });
+
+test('createBatches caps batches by item count and by token budget', () => {
+  const generator = createBatchGenerator(vectorsFor, { batchSize: 3, batchTokens: 10 });
+  const batches = lengths => generator.createBatches(lengths, tokens => tokens);
+
+  assert.deepStrictEqual(batches([1, 1, 1, 1, 1]), [[1, 1, 1], [1, 1]]);
+  assert.deepStrictEqual(batches([6, 5, 4, 1]), [[6], [5, 4, 1]]);
+  // An item over the budget still goes out, on its own
+  assert.deepStrictEqual(batches([2, 25, 2]), [[2], [25], [2]]);
+});
+
+test('the token budget never exceeds the tokens/minute limit', () => {
+  const generator = createBatchGenerator(vectorsFor, {
+    batchTokens: 50000,
+    rateLimiter: new RateLimiter({ name: 'test', tokensPerMinute: 30000 })
+  });
+
+  assert.strictEqual(generator.batchTokens, 30000);
+});
+
+test('embedTexts sends one batchEmbedContents request per batch', async () => {
+  const generator = createBatchGenerator(vectorsFor, { batchSize: 2, batchTokens: 100 });
+
+  const results = await generator.embedTexts(['a', 'bb', 'ccc']);
+
+  assert.deepStrictEqual(generator.requests, [['a', 'bb'], ['ccc']]);
+  assert.deepStrictEqual(results, [[1, 0, 1], [2, 0, 1], [3, 0, 1]]);
+  assert.strictEqual(generator.usage.requests, 2);
+  assert.strictEqual(generator.usage.tokens, 6);
+});
+
+test('items missing from a response are retried', async () => {
+  let calls = 0;
+  const generator = createBatchGenerator(texts => {
+    calls++;
+    return calls === 1
+      ? { embeddings: [{ values: [1, 0, 1] }, {}] }
+      : vectorsFor(texts);
+  });
+
+  const results = await generator.embedTexts(['a', 'bb']);
+
+  assert.deepStrictEqual(generator.requests, [['a', 'bb'], ['bb']]);
+  assert.deepStrictEqual(results, [[1, 0, 1], [2, 0, 1]]);
+});
+
+test('a rejected request is split so one bad text fails alone', async () => {
+  const generator = createBatchGenerator(texts => {
+    if (texts.includes('bad')) throw new Error('[400 Bad Request] invalid input');
+    return vectorsFor(texts);
+  }, { maxRetries: 1 });
+
+  const errors = [];
+  const results = await generator.embedTexts(['a', 'bad', 'cc', 'ddd'], 'RETRIEVAL_DOCUMENT', errors);
+
+  assert.deepStrictEqual(results, [[1, 0, 1], null, [2, 0, 1], [3, 0, 1]]);
+  assert.match(errors[1], /400/);
+  assert.strictEqual(generator.usage.errors, 1);
+});
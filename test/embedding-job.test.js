@@ -0,0 +1,100 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const EmbeddingJob = require('../src/embeddings/embedding-job');
+const DeadLetterStore = require('../src/embeddings/dead-letter');
+const RateLimiter = require('../src/utils/rate-limiter');
+const { createGenerator, embedWhere } = require('./helpers');
+
+const pages = ['Alpha', 'Beta', 'Gamma'].map(name => ({
+  url: `https://developers.google.com/apps-script/guides/${name.toLowerCase()}`,
+  title: `${name} guide`,
+  markdown: `# ${name} guide\n\n${name} explains how to automate a ${name.toLowerCase()} workflow with triggers.\n`
+}));
+
+/**
+ * Generator sending one chunk per request, embedding every text accepted by embeds(text)
+ */
+const createJobGenerator = (embeds, config = {}) =>
+  createGenerator(embedWhere(embeds), { batchSize: 1, maxRetries: 1, ...config });
+
+let cwd;
+let dir;
+let inputPath;
+
+// The job, dead-letter and output files live under data/processed of the working directory
+beforeEach(async () => {
+  cwd = process.cwd();
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'embedding-job-'));
+  process.chdir(dir);
+  inputPath = path.join(dir, 'crawl_1.json');
+  await fs.writeFile(inputPath, JSON.stringify(pages));
+});
+
+afterEach(async () => {
+  process.chdir(cwd);
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('a run stopped by the daily quota resumes without re-embedding', async () => {
+  const limited = createJobGenerator(() => true, {
+    rateLimiter: new RateLimiter({ name: 'test', requestsPerDay: 1, stateDir: dir })
+  });
+  const stopped = await limited.processData(inputPath);
+
+  assert.strictEqual(stopped.outputPath, null);
+  assert.ok(stopped.quotaExceeded);
+  assert.strictEqual(stopped.chunks, 1);
+  const job = await new EmbeddingJob({ jobPath: path.join(dir, 'data', 'processed', 'embedding_job.json') }).load();
+  assert.strictEqual(job.job.status, 'stopped');
+
+  const resumed = createJobGenerator(() => true);
+  const result = await resumed.processData(inputPath);
+  const output = JSON.parse(await fs.readFile(result.outputPath, 'utf8'));
+
+  assert.strictEqual(resumed.requests.length, output.length - 1);
+  assert.ok(!resumed.requests.flat().includes(limited.requests[0][0]));
+  assert.strictEqual(new Set(output.map(chunk => chunk.id)).size, output.length);
+  assert.strictEqual((await job.load()).job.status, 'completed');
+  await assert.rejects(fs.access(stopped.checkpointPath));
+});
+
+test('failed chunks are dead-lettered and retry-failed merges them back', async () => {
+  const failing = createJobGenerator(text => !text.includes('Beta'));
+  const first = await failing.processData(inputPath);
+  const deadLetter = await new DeadLetterStore().load();
+  const entries = deadLetter.list();
+
+  assert.ok(first.failedChunks > 0);
+  assert.strictEqual(entries.length, first.failedChunks);
+  assert.ok(entries.every(entry => entry.chunk.content.includes('Beta') && entry.outputPath === first.outputPath));
+  assert.ok(entries.every(entry => entry.error === 'No embedding returned'));
+  const before = JSON.parse(await fs.readFile(first.outputPath, 'utf8'));
+  assert.ok(before.every(chunk => !chunk.content.includes('Beta')));
+
+  const retried = await createJobGenerator(() => true).retryFailed();
+  const after = JSON.parse(await fs.readFile(first.outputPath, 'utf8'));
+
+  assert.deepStrictEqual(retried.outputPaths, [first.outputPath]);
+  assert.strictEqual(retried.recovered, entries.length);
+  assert.strictEqual(after.length, before.length + entries.length);
+  assert.deepStrictEqual((await deadLetter.load()).list(), []);
+});
+
+test('retry-failed stopped by the daily quota reports the untried chunks as remaining', async () => {
+  const first = await createJobGenerator(text => !text.includes('Beta') && !text.includes('Gamma')).processData(inputPath);
+  assert.ok(first.failedChunks > 1);
+
+  const limited = createJobGenerator(() => true, {
+    rateLimiter: new RateLimiter({ name: 'test', requestsPerDay: 1, stateDir: dir })
+  });
+  const retried = await limited.retryFailed();
+
+  assert.ok(retried.quotaExceeded);
+  assert.strictEqual(retried.recovered, 1);
+  assert.strictEqual(retried.failed, 0);
+  assert.strictEqual(retried.remaining, first.failedChunks - 1);
+  assert.strictEqual((await new DeadLetterStore().load()).list().length, retried.remaining);
+});
@@ -0,0 +1,52 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const EmbeddingGenerator = require('../src/embeddings/generator');
+const RateLimiter = require('../src/utils/rate-limiter');
+
+/**
+ * Run fn with a fresh temp directory, removed afterwards
+ */
+async function withTempDir(prefix, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), `${prefix}-`));
+  try {
+    return await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Embedding generator whose batchEmbedContents is answered by respond(texts)
+ * Every request's texts are recorded in generator.requests; retries don't sleep.
+ */
+function createGenerator(respond, config = {}) {
+  const generator = new EmbeddingGenerator({
+    apiKey: 'test',
+    dimensions: 3,
+    cacheOptions: { enabled: false },
+    rateLimiter: new RateLimiter({ name: 'test' }),
+    ...config
+  });
+  generator.sleep = async () => {};
+  generator.requests = [];
+  generator.genAI = {
+    getGenerativeModel: () => ({
+      batchEmbedContents: async ({ requests }) => {
+        const texts = requests.map(request => request.content.parts[0].text);
+        generator.requests.push(texts);
+        return respond(texts);
+      }
+    })
+  };
+  return generator;
+}
+
+/**
+ * batchEmbedContents response with a vector for every text accepted by embeds(text)
+ */
+const embedWhere = embeds => texts => ({
+  embeddings: texts.map(text => (embeds(text) ? { values: [text.length, 0, 1] } : {}))
+});
+
+module.exports = { withTempDir, createGenerator, embedWhere };
@@ -0,0 +1,40 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const GASRAGPipeline = require('../src/index');
+
+let cwd;
+let dir;
+
+// findLatestCrawlData reads data/raw of the working directory
+before(async () => {
+  process.env.GOOGLE_AI_KEY = process.env.GOOGLE_AI_KEY || 'test';
+  cwd = process.cwd();
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pipeline-'));
+  process.chdir(dir);
+
+  await fs.mkdir(path.join(dir, 'data', 'raw'), { recursive: true });
+  await Promise.all([
+    'crawl_1700000000000.json',
+    'crawl_1700000000001.json',
+    'crawl_stats_1800000000000.json',
+    'crawl_quality_1800000000000.json',
+    'crawl_local_1800000000000.json',
+    'crawl_code_1750000000000.json'
+  ].map(file => fs.writeFile(path.join(dir, 'data', 'raw', file), '[]')));
+});
+
+after(async () => {
+  process.chdir(cwd);
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('each source picks the latest crawl file it wrote itself', async () => {
+  const latest = async config => path.basename(await new GASRAGPipeline(config).findLatestCrawlData());
+
+  assert.strictEqual(await latest({}), 'crawl_1700000000001.json');
+  assert.strictEqual(await latest({ localDir: dir }), 'crawl_local_1800000000000.json');
+  assert.strictEqual(await latest({ codeDir: dir }), 'crawl_code_1750000000000.json');
+});
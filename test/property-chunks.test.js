@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const DocumentChunker = require('../src/utils/chunker');
+
+const enumPage = {
+  url: 'https://developers.google.com/apps-script/reference/base/mime-type',
+  title: 'Enum MimeType',
+  component_type: 'Enum',
+  markdown: [
+    '# Enum MimeType', '', 'An enumeration that provides access to MIME-type declarations.', '',
+    '## Properties', '',
+    '| Property | Type | Description |', '|---|---|---|',
+    '| PDF | Enum | Representation of MIME type for a PDF file. |',
+    '| CSV | Enum | Representation of MIME type for a CSV file. |'
+  ].join('\n'),
+  properties: [
+    { property_name: 'PDF', type: 'Enum', description: 'Representation of MIME type for a PDF file.' },
+    { property_name: 'CSV', type: 'Enum', description: 'Representation of MIME type for a CSV file.' }
+  ]
+};
+
+const chunksOf = (page, type) => new DocumentChunker({ pageSummaries: false })
+  .processPages([page]).chunks
+  .filter(chunk => !type || chunk.metadata.chunk_type === type);
+
+test('enum pages get one enum_value chunk per value', () => {
+  const values = chunksOf(enumPage, 'enum_value');
+
+  assert.deepStrictEqual(values.map(chunk => chunk.metadata.enum_value), ['PDF', 'CSV']);
+  const pdf = values[0];
+  assert.strictEqual(pdf.metadata.enum_name, 'MimeType');
+  assert.strictEqual(pdf.metadata.value_type, 'Enum');
+  assert.strictEqual(pdf.metadata.description, 'Representation of MIME type for a PDF file.');
+  assert.deepStrictEqual(pdf.metadata.heading_path, ['Properties', 'PDF']);
+  assert.ok(pdf.content.includes('## Enum value: MimeType.PDF'));
+  assert.ok(pdf.content.includes('Usage: `MimeType.PDF`'));
+  assert.ok(!pdf.content.includes('CSV'));
+});
+
+test('the property table is not chunked again as documentation', () => {
+  const chunks = chunksOf(enumPage);
+
+  assert.strictEqual(chunks.filter(chunk => chunk.metadata.chunk_type === 'properties').length, 1);
+  assert.ok(chunks
+    .filter(chunk => chunk.metadata.chunk_type === 'documentation')
+    .every(chunk => !chunk.content.includes('| PDF |')));
+});
+
+test('class properties become property chunks with the class name', () => {
+  const classPage = {
+    ...enumPage,
+    url: 'https://developers.google.com/apps-script/reference/card-service/card',
+    title: 'Class Card',
+    component_type: 'Class',
+    markdown: '# Class Card\n\nA context card.\n',
+    properties: [{ property_name: 'name', type: 'String', description: 'Card name.' }]
+  };
+
+  const [property] = chunksOf(classPage, 'property');
+
+  assert.strictEqual(property.metadata.class_name, 'Card');
+  assert.strictEqual(property.metadata.property_type, 'String');
+  assert.ok(!('enum_value' in property.metadata));
+  assert.ok(property.content.includes('## Property: Card.name'));
+  assert.strictEqual(chunksOf(classPage, 'enum_value').length, 0);
+});
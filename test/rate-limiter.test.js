@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RateLimiter = require('../src/utils/rate-limiter');
+const { withTempDir } = require('./helpers');
+
+const { DailyQuotaExceededError } = RateLimiter;
+
+/**
+ * Limiter whose sleep() moves its clock forward instead of waiting
+ */
+function createLimiter(config) {
+  const limiter = new RateLimiter({ name: 'test', ...config });
+  limiter.waits = [];
+  limiter.sleep = async ms => {
+    limiter.waits.push(ms);
+    limiter.lastRefill -= ms;
+  };
+  return limiter;
+}
+
+test('an unconfigured limiter never waits', async () => {
+  const limiter = createLimiter({});
+
+  for (let i = 0; i < 5; i++) await limiter.acquire(100000);
+  assert.deepStrictEqual(limiter.waits, []);
+});
+
+test('requests are paced to the requests/minute budget', async () => {
+  const limiter = createLimiter({ requestsPerMinute: 2 });
+
+  await limiter.acquire();
+  await limiter.acquire();
+  assert.deepStrictEqual(limiter.waits, []);
+
+  await limiter.acquire();
+  assert.strictEqual(limiter.waits.length, 1);
+  assert.ok(Math.abs(limiter.waits[0] - 30000) <= 100);
+});
+
+test('requests are charged their real token count', async () => {
+  const limiter = createLimiter({ tokensPerMinute: 1000 });
+
+  await limiter.acquire(900);
+  assert.ok(limiter.buckets.tokens <= 100);
+
+  // Waits until 500 tokens have refilled rather than charging less
+  await limiter.acquire(500);
+  assert.strictEqual(limiter.waits.length, 1);
+  assert.ok(limiter.waits[0] >= 23000);
+});
+
+test('a request larger than the tokens/minute limit is rejected', async () => {
+  const limiter = createLimiter({ tokensPerMinute: 1000 });
+
+  await assert.rejects(limiter.acquire(1001), /exceeds the 1000 tokens\/minute limit/);
+  // The queue keeps working after a rejected acquisition
+  await limiter.acquire(1000);
+  assert.deepStrictEqual(limiter.waits, []);
+});
+
+test('drain makes the next request wait', async () => {
+  const limiter = createLimiter({ requestsPerMinute: 60 });
+
+  limiter.drain();
+  await limiter.acquire();
+  assert.strictEqual(limiter.waits.length, 1);
+});
+
+test('the daily quota stops the run and survives a restart', () => withTempDir('rate-limiter', async stateDir => {
+  const limiter = createLimiter({ requestsPerDay: 2, stateDir });
+  await limiter.acquire();
+  await limiter.acquire();
+
+  await assert.rejects(limiter.acquire(), error => {
+    assert.ok(error instanceof DailyQuotaExceededError);
+    assert.strictEqual(error.limiter, 'test');
+    assert.ok(error.resetAt);
+    return true;
+  });
+
+  const restarted = createLimiter({ requestsPerDay: 2, stateDir });
+  await assert.rejects(restarted.acquire(), DailyQuotaExceededError);
+  assert.deepStrictEqual(await restarted.status(), {
+    name: 'test', day: restarted.today(), requests: 2, requestsPerDay: 2, remaining: 0
+  });
+}));
+
+test('onDailyLimit=wait pauses until the quota day changes', () => withTempDir('rate-limiter', async stateDir => {
+  const limiter = createLimiter({ requestsPerDay: 1, onDailyLimit: 'wait', stateDir });
+  await limiter.acquire();
+
+  limiter.sleep = async () => {
+    limiter.today = () => '2999-01-01';
+  };
+  await limiter.acquire();
+
+  assert.deepStrictEqual(limiter.daily, { day: '2999-01-01', requests: 1 });
+}));
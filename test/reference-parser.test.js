@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ReferenceParser = require('../src/scraper/reference-parser');
+
+const markdown = `# Class Range
+
+Access and modify spreadsheet ranges.
+
+## Properties
+
+| Property | Type | Description |
+|---|---|---|
+| \`ROWS\` | Integer | Number of rows. |
+
+## Methods
+
+| Method | Return type | Brief description |
+|---|---|---|
+| [getValue()](#getValue) | Object | Returns the value of the top-left cell. |
+| [setValue(value)](#setValue) | [Range](/apps-script/reference/spreadsheet/range) | Sets the value of the range. |
+| [getA1()](#getA1) | String | Deprecated. Use getA1Notation() instead. |
+
+## Detailed documentation
+
+### \`setValue(value)\`
+
+Sets the value of the range.
+
+\`\`\`javascript
+range.setValue(100);
+\`\`\`
+
+#### Parameters
+
+| Name | Type | Description |
+|---|---|---|
+| \`value\` | Object | The value for the range. |
+
+#### Return
+
+[Range](/apps-script/reference/spreadsheet/range) — This range, for chaining.
+
+## Deprecated methods
+
+### \`getText()\`
+
+Returns the text of the cell.
+
+#### Return
+
+String — The text.
+`;
+
+test('parse reads the title, component type and properties', () => {
+  const parsed = new ReferenceParser().parse(markdown);
+
+  assert.strictEqual(parsed.page_title, 'Class Range');
+  assert.strictEqual(parsed.page_description, 'Access and modify spreadsheet ranges.');
+  assert.strictEqual(parsed.component_type, 'Class');
+  assert.deepStrictEqual(parsed.properties, [
+    { property_name: 'ROWS', type: 'Integer', description: 'Number of rows.' }
+  ]);
+});
+
+test('summary rows merge with detailed sections, detailed fields winning', () => {
+  const methods = new ReferenceParser().parse(markdown).methods;
+  const bySignature = Object.fromEntries(methods.map(method => [method.signature, method]));
+
+  assert.deepStrictEqual(Object.keys(bySignature), ['getValue()', 'setValue(value)', 'getA1()', 'getText()']);
+  assert.strictEqual(bySignature['getValue()'].return_type, 'Object');
+  assert.deepStrictEqual(bySignature['setValue(value)'], {
+    signature: 'setValue(value)',
+    description: 'Sets the value of the range.',
+    parameters: [{ param_name: 'value', type: 'Object', description: 'The value for the range.' }],
+    return_type: 'Range',
+    code_example: 'range.setValue(100);',
+    deprecated: false,
+    replacement: null
+  });
+});
+
+test('deprecated rows and sections carry their replacement', () => {
+  const methods = new ReferenceParser().parse(markdown).methods;
+  const getA1 = methods.find(method => method.signature === 'getA1()');
+  const getText = methods.find(method => method.signature === 'getText()');
+
+  assert.strictEqual(getA1.deprecated, true);
+  assert.strictEqual(getA1.replacement, 'getA1Notation()');
+  assert.strictEqual(getText.deprecated, true);
+  assert.strictEqual(getText.replacement, null);
+  assert.strictEqual(getText.return_type, 'String');
+});
+
+test('enrich only fills empty structured fields', () => {
+  const parser = new ReferenceParser();
+  const enriched = parser.enrich({ page_title: 'Range (extracted)', methods: [] }, markdown);
+
+  assert.strictEqual(enriched.page_title, 'Range (extracted)');
+  assert.strictEqual(enriched.methods.length, 4);
+  assert.strictEqual(enriched.properties.length, 1);
+});
+
+test('isReferencePage checks the URL or a Class/Enum/Interface title', () => {
+  const parser = new ReferenceParser();
+
+  assert.ok(parser.isReferencePage('https://developers.google.com/apps-script/reference/spreadsheet/range', ''));
+  assert.ok(parser.isReferencePage('https://example.com/page', '# Enum Color\n'));
+  assert.ok(!parser.isReferencePage('https://developers.google.com/apps-script/guides/triggers', '# Triggers\n'));
+  assert.deepStrictEqual(parser.parse(''), { methods: [], properties: [] });
+});
+
+test('table cells split on unescaped pipes only', () => {
+  assert.deepStrictEqual(new ReferenceParser().splitRow('| a \\| b | c |'), ['a | b', 'c']);
+});
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SupabaseVectorClient = require('../src/storage/supabase-client');
+
+const embedding = (last = 0) => Array.from({ length: 768 }, (_, i) => (i === 767 ? last : 0.01));
+
+/**
+ * Client whose match_documents RPC returns rows and records its params
+ */
+function createClient(rows = [], options = {}) {
+  const client = new SupabaseVectorClient('http://localhost:54321', 'test-key', options);
+  client.calls = [];
+  client.client = {
+    rpc: async (name, params) => {
+      client.calls.push({ name, params });
+      return { data: rows.map(row => ({ ...row })), error: null };
+    }
+  };
+  return client;
+}
+
+test('deprecation options are sent to match_documents only when given', async () => {
+  const client = createClient();
+
+  await client.similaritySearch(embedding(), { excludeDeprecated: true, deprecatedPenalty: 0.1 });
+  await client.similaritySearch(embedding(1));
+
+  assert.strictEqual(client.calls[0].params.exclude_deprecated, true);
+  assert.strictEqual(client.calls[0].params.deprecated_penalty, 0.1);
+  assert.ok(!('exclude_deprecated' in client.calls[1].params));
+});
+
+test('cached results are keyed by the search options', async () => {
+  const client = createClient();
+
+  await client.similaritySearch(embedding(), { excludeDeprecated: true });
+  await client.similaritySearch(embedding(), { excludeDeprecated: true });
+  assert.strictEqual(client.calls.length, 1);
+
+  await client.similaritySearch(embedding(), { excludeDeprecated: false });
+  await client.similaritySearch(embedding(), { excludeDeprecated: true, matchCount: 3 });
+  assert.strictEqual(client.calls.length, 3);
+});
+
+test('cached results are keyed by the whole vector', async () => {
+  const client = createClient();
+
+  await client.similaritySearch(embedding(0.5));
+  await client.similaritySearch(embedding(0.25));
+
+  assert.strictEqual(client.calls.length, 2);
+});
+
+test('similaritySearch boosts page summaries for broad questions by default', async () => {
+  const rows = [
+    { document_id: 'method', similarity: 0.82, metadata: { chunk_type: 'method' } },
+    { document_id: 'summary', similarity: 0.8, metadata: { chunk_type: 'page_summary' } }
+  ];
+  const client = createClient(rows, { cacheEnabled: false });
+
+  const broad = await client.similaritySearch(embedding(), { query: 'What is CardService used for?' });
+  assert.deepStrictEqual(broad.map(row => row.document_id), ['summary', 'method']);
+  assert.ok(Math.abs(broad[0].similarity - 0.85) < 1e-9);
+
+  const specific = await client.similaritySearch(embedding(), { query: 'How do I call getRange()?' });
+  assert.deepStrictEqual(specific.map(row => row.document_id), ['method', 'summary']);
+
+  const unboosted = await client.similaritySearch(embedding(), { query: 'What is CardService used for?', summaryBoost: 0 });
+  assert.deepStrictEqual(unboosted.map(row => row.document_id), ['method', 'summary']);
+});
+
+test('getDocumentById returns rows in page order', async () => {
+  const client = new SupabaseVectorClient('http://localhost:54321', 'test-key');
+  const rows = [
+    { id: 'c', chunk_index: 0, metadata: { page_position: 2 } },
+    { id: 'a', chunk_index: 0, metadata: { page_position: 0 } },
+    { id: 'b', chunk_index: 0, metadata: { page_position: 1 } }
+  ];
+  const query = { select: () => query, eq: async () => ({ data: rows, error: null }) };
+  client.client = { from: () => query };
+
+  const chunks = await client.getDocumentById('doc');
+
+  assert.deepStrictEqual(chunks.map(chunk => chunk.id), ['a', 'b', 'c']);
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Tokenizer = require('../src/utils/tokenizer');
+
+test('estimating strategies keep headroom under the model input limit', () => {
+  const heuristic = new Tokenizer({ strategy: 'heuristic' });
+  const exact = new Tokenizer({ count: text => text.length });
+
+  assert.strictEqual(heuristic.exact, false);
+  assert.strictEqual(heuristic.maxInputTokens, Math.floor(2048 * 0.85));
+  assert.strictEqual(new Tokenizer({ strategy: 'chars' }).maxInputTokens, heuristic.maxInputTokens);
+  assert.strictEqual(exact.exact, true);
+  assert.strictEqual(exact.maxInputTokens, 2048);
+  assert.strictEqual(new Tokenizer({ strategy: 'heuristic', maxInputTokens: 500 }).maxInputTokens, 500);
+});
+
+test('the heuristic charges words, digits, mixed ids and symbols separately', () => {
+  const tokenizer = new Tokenizer({ strategy: 'heuristic' });
+
+  assert.strictEqual(tokenizer.count(''), 0);
+  assert.strictEqual(tokenizer.count('spreadsheet'), 3);
+  assert.strictEqual(tokenizer.count('2024'), 4);
+  assert.strictEqual(tokenizer.count('a1b2'), 3);
+  assert.strictEqual(tokenizer.count('getRange("A1");'), 9);
+});
+
+test('truncate cuts text to the token budget on a word boundary', () => {
+  const tokenizer = new Tokenizer({ strategy: 'heuristic' });
+  const text = Array.from({ length: 200 }, (_, i) => `word${i % 10}`).join(' ');
+
+  const truncated = tokenizer.truncate(text, 50);
+
+  assert.ok(tokenizer.count(truncated) <= 50);
+  assert.ok(text.startsWith(truncated));
+  assert.ok(/word\d$/.test(truncated));
+  assert.strictEqual(tokenizer.truncate('short text', 50), 'short text');
+});
+
+test('unknown strategies are rejected', () => {
+  assert.throws(() => new Tokenizer({ strategy: 'bpe' }), /Unknown tokenizer strategy: bpe/);
+});
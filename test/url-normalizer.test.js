@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const UrlNormalizer = require('../src/scraper/url-normalizer');
+
+const BASE = 'https://developers.google.com/apps-script/reference/spreadsheet/range';
+
+test('normalize drops fragments, noise params and trailing slashes', () => {
+  const normalizer = new UrlNormalizer();
+
+  [
+    `${BASE}/`,
+    `${BASE}#getValues()`,
+    `${BASE}?hl=en&authuser=1`,
+    `${BASE}?utm_source=x&utm_new=y`,
+    'https://Developers.Google.com/apps-script//reference/spreadsheet/range/'
+  ].forEach(url => assert.strictEqual(normalizer.normalize(url), BASE, url));
+
+  assert.strictEqual(normalizer.normalize(`${BASE}?b=2&a=1`), `${BASE}?a=1&b=2`);
+  assert.strictEqual(normalizer.normalize('file:///docs/guide.md'), 'file:///docs/guide.md');
+});
+
+test('canonical links win over the crawled URL only on the same host', () => {
+  const normalizer = new UrlNormalizer();
+
+  assert.strictEqual(normalizer.canonicalUrl({
+    url: `${BASE}?hl=fr`, metadata: { canonical: `${BASE}/` }
+  }), BASE);
+  assert.strictEqual(normalizer.canonicalUrl({
+    url: `${BASE}?hl=fr`, metadata: { canonical: 'https://mirror.example.com/range' }
+  }), BASE);
+});
+
+test('collapse keeps the richest copy and records the others as aliases', () => {
+  const normalizer = new UrlNormalizer();
+  const thin = { url: BASE, markdown: 'short', metadata: { sourceURL: `${BASE}?hl=fr` } };
+  const rich = { url: BASE, markdown: 'longer', methods: [{ signature: 'getValues()' }], metadata: { sourceURL: `${BASE}/` } };
+  const other = { url: `${BASE}list`, markdown: 'other' };
+
+  const { pages, collapsed } = normalizer.collapse([thin, rich, other]);
+
+  assert.strictEqual(collapsed, 1);
+  assert.strictEqual(pages.length, 2);
+  assert.strictEqual(pages[0], rich);
+  assert.deepStrictEqual(pages[0].metadata.aliases, [`${BASE}?hl=fr`]);
+});